@@ -0,0 +1,196 @@
+/**
+ * Where mysql.js and postgres.js connect: URLs, named profiles, SSL and SSH tunnels
+ *
+ * The server comes from (first match) a URL the command passes itself,
+ * `--profile <name>`, the engine's URL variable (MYSQL_URL, DATABASE_URL) or
+ * its host/port/… variables. --host, --port, --db, --user and --password then
+ * replace that part of it, so `--db other` works with a URL or profile too.
+ *
+ * Profiles live in ~/.database_profiles.json (override: DB_PROFILES):
+ *   {
+ *     "staging": {
+ *       "url": "mysql://app@10.0.3.12:3306/shop",
+ *       "passwordEnv": "STAGING_DB_PASSWORD",
+ *       "ssl": { "ca": "~/certs/staging-ca.pem" },
+ *       "ssh": "deploy@bastion.example.com"
+ *     }
+ *   }
+ * Instead of `url`: host, port, database, user, password. `engine` is only
+ * needed when there is no URL to tell. `ssl` is true or { ca, cert, key (file
+ * paths), rejectUnauthorized }. `ssh` ("user@host:port", or { host, user,
+ * port, key }; --ssh on the command line) forwards a local port through that
+ * host with the system ssh client while the command runs — the database host
+ * is then looked up from the SSH host, so it is often "localhost".
+ *
+ * Commands take one connection each from here and close it when they are
+ * done; nothing runs queries side by side, so there is no pool.
+ */
+
+import { spawn } from "child_process";
+import { existsSync, readFileSync } from "fs";
+import { createConnection, createServer, isIP } from "net";
+import { homedir } from "os";
+import { join } from "path";
+
+const SCHEMES = { mysql: /^mysql:/, postgres: /^postgres(ql)?:/ };
+
+function profilesFile() {
+  return process.env.DB_PROFILES || join(homedir(), ".database_profiles.json");
+}
+
+function readProfiles() {
+  const file = profilesFile();
+  if (!existsSync(file)) throw new Error(`No profiles file at ${file} (DB_PROFILES can point elsewhere)`);
+  try {
+    return JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+}
+
+const expandHome = (path) => String(path).replace(/^~(?=$|\/)/, homedir());
+
+/** The engine a profile is for: its `engine`, else its URL's scheme. */
+export function profileEngine(profile) {
+  return profile.engine || Object.keys(SCHEMES).find((engine) => SCHEMES[engine].test(profile.url || ""));
+}
+
+/** The named profile, checked against the engine about to use it (if given). */
+export function loadProfile(name, engine) {
+  const profiles = readProfiles();
+  const profile = profiles[name];
+  if (!profile) throw new Error(`No profile "${name}" in ${profilesFile()} (have: ${Object.keys(profiles).join(", ") || "none"})`);
+  const other = profileEngine(profile);
+  if (engine && other && other !== engine) throw new Error(`Profile "${name}" is for ${other}, not ${engine}`);
+  return profile;
+}
+
+/** One row per profile for `profiles`: where each points, never its password. */
+export function listProfiles(engine) {
+  return Object.entries(readProfiles())
+    .filter(([, p]) => [engine, undefined].includes(profileEngine(p)))
+    .map(([name, p]) => {
+      const u = p.url ? new URL(p.url) : null;
+      const server = u ? `${u.username ? `${decodeURIComponent(u.username)}@` : ""}${u.host}${u.pathname}` : `${p.user ? `${p.user}@` : ""}${p.host || "localhost"}${p.port ? `:${p.port}` : ""}/${p.database || ""}`;
+      const ssh = p.ssh && parseSsh(p.ssh);
+      return { name, server, ssl: p.ssl ? "yes" : "", ssh: ssh ? `${ssh.user ? `${ssh.user}@` : ""}${ssh.host}` : "" };
+    });
+}
+
+// URL with host, port, database, user or password replaced where given.
+function overrideUrl(url, parts) {
+  const u = new URL(url);
+  if (parts.host) u.hostname = parts.host;
+  if (parts.port) u.port = String(parts.port);
+  if (parts.database) u.pathname = `/${encodeURIComponent(parts.database)}`;
+  if (parts.user) u.username = encodeURIComponent(parts.user);
+  if (parts.password) u.password = encodeURIComponent(parts.password);
+  return u.toString();
+}
+
+function sslOptions(ssl) {
+  if (!ssl) return undefined;
+  if (ssl === true) return {};
+  const out = {};
+  for (const key of ["ca", "cert", "key"]) if (ssl[key]) out[key] = readFileSync(expandHome(ssl[key]), "utf8");
+  if (ssl.rejectUnauthorized !== undefined) out.rejectUnauthorized = ssl.rejectUnauthorized;
+  return out;
+}
+
+function parseSsh(ssh) {
+  if (typeof ssh === "object") return ssh;
+  const m = String(ssh).match(/^(?:([^@]+)@)?([^:@]+)(?::(\d+))?$/);
+  if (!m) throw new Error(`Bad SSH host "${ssh}" (expected [user@]host[:port])`);
+  return { user: m[1], host: m[2], port: m[3] };
+}
+
+/**
+ * opts → { url } or { host, port, database, user, password }, plus ssl and
+ * ssh when the profile or flags ask for them. `env` is the engine's URL
+ * variable and its field defaults: { url, fields }.
+ */
+export function resolveTarget(opts, engine, env) {
+  if (opts.url) return { url: opts.url };
+  const profile = opts.profile ? loadProfile(opts.profile, engine) : null;
+  let target;
+  if (profile) {
+    const { url, host, port, database, user, password } = profile;
+    target = url ? { url } : { ...env.fields, ...Object.fromEntries(Object.entries({ host, port, database, user, password }).filter(([, v]) => v !== undefined)) };
+    if (profile.passwordEnv) {
+      if (process.env[profile.passwordEnv] === undefined) throw new Error(`Profile "${opts.profile}" reads its password from ${profile.passwordEnv}, which is not set`);
+      target = target.url ? { url: overrideUrl(target.url, { password: process.env[profile.passwordEnv] }) } : { ...target, password: process.env[profile.passwordEnv] };
+    }
+    if (profile.ssl) target.ssl = sslOptions(profile.ssl);
+    if (profile.ssh) target.ssh = parseSsh(profile.ssh);
+  } else {
+    target = env.url ? { url: env.url } : { ...env.fields };
+  }
+  if (opts.ssh && opts.ssh !== true) target.ssh = parseSsh(opts.ssh);
+
+  const parts = { host: opts.host, port: opts.port, database: opts.db, user: opts.user, password: opts.password };
+  if (target.url) target.url = overrideUrl(target.url, parts);
+  else for (const [key, value] of Object.entries(parts)) if (value && value !== true) target[key] = value;
+  if (target.port) target.port = parseInt(target.port);
+  return target;
+}
+
+const tunnels = new Map(); // one ssh per forward, kept until the process exits
+
+/** target with host and port pointed at a local forward through target.ssh. */
+export async function tunnelTarget(target, defaultPort) {
+  if (!target.ssh) return target;
+  const { ssh, ...rest } = target;
+  const u = rest.url ? new URL(rest.url) : null;
+  const host = (u ? u.hostname : rest.host) || "localhost";
+  const port = Number((u ? u.port : rest.port) || defaultPort);
+  const key = `${ssh.user || ""}@${ssh.host}:${ssh.port || 22} → ${host}:${port}`;
+  if (!tunnels.has(key)) tunnels.set(key, openTunnel(ssh, host, port));
+  const local = await tunnels.get(key);
+  const out = u ? { ...rest, url: overrideUrl(rest.url, { host: "127.0.0.1", port: local }) } : { ...rest, host: "127.0.0.1", port: local };
+  // The certificate still has to match the database host, not the tunnel.
+  if (out.ssl && !isIP(host)) out.ssl = { ...out.ssl, servername: host };
+  return out;
+}
+
+async function freePort() {
+  const server = createServer();
+  await new Promise((resolve, reject) => server.once("error", reject).listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+const canConnect = (port) => new Promise((resolve) => {
+  const socket = createConnection(port, "127.0.0.1");
+  socket.once("connect", () => { socket.destroy(); resolve(true); }).once("error", () => resolve(false));
+});
+
+// ssh -N -L in the background; resolves with the local port once it accepts connections.
+async function openTunnel(ssh, host, port) {
+  const local = await freePort();
+  const args = ["-N", "-o", "ExitOnForwardFailure=yes", "-o", "BatchMode=yes", "-L", `127.0.0.1:${local}:${host}:${port}`];
+  if (ssh.port) args.push("-p", String(ssh.port));
+  if (ssh.key) args.push("-i", expandHome(ssh.key));
+  args.push(ssh.user ? `${ssh.user}@${ssh.host}` : ssh.host);
+
+  const child = spawn("ssh", args, { stdio: ["ignore", "ignore", "pipe"] });
+  let stderr = "";
+  let failed = null;
+  child.stderr.on("data", (d) => { stderr += d; });
+  child.once("error", (err) => { failed = err.message; });
+  child.once("exit", (code) => { failed ??= stderr.trim() || `ssh exited with code ${code}`; });
+  process.once("exit", () => child.kill());
+
+  const deadline = Date.now() + 15000;
+  while (!(await canConnect(local))) {
+    if (failed) throw new Error(`SSH tunnel through ${ssh.host} failed: ${failed}`);
+    if (Date.now() > deadline) {
+      child.kill();
+      throw new Error(`SSH tunnel through ${ssh.host} was not up after 15s`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  child.stderr.destroy();
+  child.unref();
+  return local;
+}
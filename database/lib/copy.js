@@ -0,0 +1,281 @@
+/**
+ * `copy` between engines for postgres.js, mysql.js, sqlite.js and mongo.js
+ *
+ *   node postgres.js copy users --to sqlite:./local.db
+ *   node mongo.js copy events --to postgres://localhost/analytics --as mongo_events
+ *
+ * The source table (or collection) is read in --batch sized chunks and each
+ * chunk written to the target named by --to: postgres://…, mysql://…,
+ * mongodb://… or sqlite:<file> (a path ending in .db, .sqlite or .sqlite3
+ * works too), or a MySQL or PostgreSQL profile from lib/connection.js, with
+ * its SSL and SSH settings. A missing target table is created with the source's column
+ * types mapped to the target engine, NOT NULL and the primary key; indexes,
+ * foreign keys and defaults are not copied. Collections declare no types, so
+ * theirs are inferred from the first --sample documents (default 1000);
+ * fields none of those have are left out of a SQL target.
+ *
+ * The target is opened with openAdapter(target) from the engine's lib/
+ * module: its usual adapter on a connection of its own, plus
+ * readBatches(table, size) and close(). Mongo's adapter has dialect "mongo"
+ * and works with documents instead of SQL; Mongo to Mongo copies the
+ * documents as they are, BSON types and all.
+ */
+
+import { loadProfile, profileEngine } from "./connection.js";
+import { quoteIdent, quoteTable } from "./ident.js";
+import { insertSql, MAX_PARAMS } from "./import.js";
+import { kindOf } from "./schema.js";
+
+// Imported when needed, so a script only loads the drivers it uses.
+const ENGINES = { postgres: "./postgres.js", mysql: "./mysql.js", sqlite: "./sqlite.js", mongo: "./mongo.js" };
+
+/** --to → { engine, url } or { engine, profile } */
+export function parseTarget(to) {
+  if (!to || to === true) throw new Error("Missing --to <target> (postgres://…, mysql://…, mongodb://… or sqlite:<file>)");
+  if (/^postgres(ql)?:\/\//.test(to)) return { engine: "postgres", url: to };
+  if (/^mysql:\/\//.test(to)) return { engine: "mysql", url: to };
+  if (/^mongodb(\+srv)?:\/\//.test(to)) return { engine: "mongo", url: to };
+  if (to.startsWith("sqlite:")) return { engine: "sqlite", url: to.slice("sqlite:".length) };
+  if (/\.(db|sqlite3?)$/i.test(to)) return { engine: "sqlite", url: to };
+  let profile;
+  try {
+    profile = loadProfile(to);
+  } catch (err) {
+    throw new Error(`Can't tell the engine of --to ${to}; use postgres://…, mysql://…, mongodb://…, sqlite:<file> or a profile (${err.message})`);
+  }
+  const engine = profileEngine(profile);
+  if (!engine) throw new Error(`Profile "${to}" has no url; add "engine": "postgres" or "mysql" to it`);
+  return { engine, profile: to };
+}
+
+// ── Types ──
+
+// Declared type → { kind, size, scale }, kinds being the column types the
+// four engines have in common.
+function portable(type) {
+  const t = type.toLowerCase();
+  const [, size, scale] = /\((\d+)(?:\s*,\s*(\d+))?\)/.exec(t) || [];
+  const kind = kindOf(type);
+  if (kind === "integer") return { kind: /big|int8/.test(t) ? "bigint" : "integer" };
+  if (kind === "timestamp") return { kind: /with time zone|timestamptz/.test(t) ? "timestamptz" : "timestamp" };
+  if (kind === "decimal") return { kind, size: size && Number(size), scale: scale && Number(scale) };
+  if (kind === "array") return { kind: "json" };
+  if (["boolean", "float", "date", "time", "uuid", "json", "binary"].includes(kind)) return { kind };
+  // char/varchar keep their length; enums, inet and the rest become text.
+  return { kind: "text", size: /char/.test(t) && size ? Number(size) : undefined };
+}
+
+const SQL_TYPES = {
+  postgres: {
+    boolean: "BOOLEAN", integer: "INTEGER", bigint: "BIGINT", float: "DOUBLE PRECISION",
+    decimal: (c) => (c.size ? `NUMERIC(${c.size},${c.scale ?? 0})` : "NUMERIC"),
+    date: "DATE", timestamp: "TIMESTAMP", timestamptz: "TIMESTAMPTZ", time: "TIME",
+    uuid: "UUID", json: "JSONB", binary: "BYTEA", text: (c) => (c.size ? `VARCHAR(${c.size})` : "TEXT"),
+  },
+  mysql: {
+    boolean: "BOOLEAN", integer: "INT", bigint: "BIGINT", float: "DOUBLE",
+    decimal: (c) => (c.size ? `DECIMAL(${Math.min(c.size, 65)},${c.scale ?? 0})` : "DECIMAL(38,10)"),
+    date: "DATE", timestamp: "DATETIME(6)", timestamptz: "DATETIME(6)", time: "TIME",
+    uuid: "CHAR(36)", json: "JSON", binary: "LONGBLOB",
+    // MySQL can't index an unbounded TEXT column, and caps VARCHAR rows at 64 KB.
+    text: (c, key) => (c.size && c.size <= 16383 ? `VARCHAR(${c.size})` : key ? "VARCHAR(255)" : "LONGTEXT"),
+  },
+  sqlite: {
+    boolean: "INTEGER", integer: "INTEGER", bigint: "INTEGER", float: "REAL", decimal: "NUMERIC",
+    date: "TEXT", timestamp: "TEXT", timestamptz: "TEXT", time: "TEXT",
+    uuid: "TEXT", json: "TEXT", binary: "BLOB", text: "TEXT",
+  },
+};
+
+function sqlType(column, dialect, key) {
+  const t = SQL_TYPES[dialect][column.kind];
+  return typeof t === "function" ? t(column, key) : t;
+}
+
+function createSql(dialect, table, columns, primaryKey) {
+  const defs = columns.map((c) => `  ${quoteIdent(c.name, dialect)} ${sqlType(c, dialect, primaryKey.includes(c.name))}${c.nullable ? "" : " NOT NULL"}`);
+  if (primaryKey.length) defs.push(`  PRIMARY KEY (${primaryKey.map((k) => quoteIdent(k, dialect)).join(", ")})`);
+  return `CREATE TABLE ${quoteTable(table, dialect)} (\n${defs.join(",\n")}\n)`;
+}
+
+// A collection's columns: every top-level field of the sample, typed by the
+// values seen (numbers of both sorts are float, anything else mixed is text).
+// All but _id stay nullable, since documents past the sample may lack them.
+function documentColumns(docs) {
+  const fields = new Map();
+  for (const doc of docs) {
+    for (const [name, v] of Object.entries(doc)) {
+      if (!fields.has(name)) fields.set(name, new Set());
+      if (v !== null && v !== undefined) fields.get(name).add(documentKind(v));
+    }
+  }
+  return [...fields].map(([name, seen]) => {
+    const kinds = [...seen];
+    let kind = kinds.length === 1 ? kinds[0] : "text";
+    if (kinds.length > 1 && kinds.every((k) => ["integer", "bigint", "float"].includes(k))) kind = kinds.includes("float") ? "float" : "bigint";
+    return { name, kind, nullable: name !== "_id" };
+  });
+}
+
+function documentKind(v) {
+  if (typeof v === "boolean") return "boolean";
+  if (typeof v === "number") return !Number.isInteger(v) ? "float" : Math.abs(v) > 2147483647 ? "bigint" : "integer";
+  if (v instanceof Date) return "timestamptz";
+  if (v._bsontype === "Long") return "bigint";
+  if (v._bsontype === "Decimal128") return "decimal";
+  if (v._bsontype === "Binary" || Buffer.isBuffer(v)) return "binary";
+  if (v._bsontype === "ObjectId" || typeof v === "string") return "text";
+  return "json"; // arrays, subdocuments
+}
+
+// ── Values ──
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// One value of `column` from the source, in the form the target engine's adapter takes.
+function convert(v, column, target) {
+  if (v === null || v === undefined) return null;
+  const { kind } = column;
+  const mongo = target.dialect === "mongo";
+  if (v?._bsontype === "ObjectId") return v.toHexString();
+  if (v?._bsontype === "Binary") return Buffer.from(v.buffer);
+  if (v?._bsontype === "Long" || v?._bsontype === "Decimal128") v = v.toString();
+  switch (kind) {
+    case "boolean": return typeof v === "boolean" ? v : ["1", "t", "true"].includes(String(v).toLowerCase());
+    case "integer":
+    case "bigint": {
+      const n = Number(v);
+      return Number.isSafeInteger(n) ? n : String(v);
+    }
+    case "float": return Number(v);
+    case "decimal": return mongo ? target.decimal(v) : String(v);
+    case "date":
+      // Drivers hand DATE over as local midnight.
+      if (v instanceof Date) v = `${v.getFullYear()}-${pad(v.getMonth() + 1)}-${pad(v.getDate())}`;
+      return mongo ? new Date(v) : v;
+    case "timestamp":
+    case "timestamptz": return mongo && !(v instanceof Date) ? new Date(String(v).replace(" ", "T")) : v;
+    case "json":
+      if (mongo) return column.jsonText && typeof v === "string" ? parseJson(v) : v;
+      return typeof v === "string" ? v : JSON.stringify(v);
+    case "binary": return v;
+    default:
+      if (v instanceof Date) return v.toISOString();
+      return typeof v === "object" ? JSON.stringify(v) : String(v);
+  }
+}
+
+// Text that isn't valid JSON goes over as the string it is.
+function parseJson(text) {
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+// ── Copy ──
+
+async function openTarget({ engine, ...target }) {
+  const { openAdapter } = await import(ENGINES[engine]);
+  return openAdapter(target);
+}
+
+async function sourceColumns(source, table, opts) {
+  if (source.dialect === "mongo") {
+    const sample = await source.sample(table, parseInt(opts.sample) || 1000, opts.filter);
+    if (!sample.length) throw new Error(`Collection ${table} is empty${opts.filter ? " for that --filter" : ""}; nothing to copy`);
+    return { columns: documentColumns(sample), primaryKey: ["_id"] };
+  }
+  const schema = await source.loadSchema();
+  const def = schema.tables[source.dialect === "postgres" ? table.replace(/^public\./, "") : table];
+  if (!def) throw new Error(`Table not found: ${table}`);
+  // better-sqlite3 hands JSON columns over as text; pg and mysql2 parse them.
+  const jsonText = (type) => source.dialect === "sqlite" && kindOf(type) === "json";
+  return {
+    columns: def.columns.map((c) => ({ name: c.name, declared: c.type, nullable: c.nullable, jsonText: jsonText(c.type), ...portable(c.type) })),
+    primaryKey: def.primaryKey?.columns || [],
+  };
+}
+
+async function writeBatch(source, target, table, columns, rows) {
+  if (target.dialect === "mongo") {
+    // Mongo to Mongo keeps every ObjectId, Long and Decimal128 as it was.
+    if (source.dialect === "mongo") return target.insertRows(table, rows);
+    // Fields the sample never had go along as they are; Mongo doesn't mind.
+    const byName = new Map(columns.map((c) => [c.name, c]));
+    const docs = rows.map((row) => Object.fromEntries(Object.entries(row).map(([k, v]) => [k, byName.has(k) ? convert(v, byName.get(k), target) : v])));
+    await target.insertRows(table, docs);
+    return;
+  }
+  const names = columns.map((c) => c.name);
+  const perInsert = Math.max(1, Math.floor(MAX_PARAMS / names.length));
+  await target.query("BEGIN", []);
+  try {
+    for (let i = 0; i < rows.length; i += perInsert) {
+      const chunk = rows.slice(i, i + perInsert);
+      await target.query(insertSql(target.dialect, table, names, chunk.length), chunk.flatMap((row) => columns.map((c) => convert(row[c.name], c, target))));
+    }
+    await target.query("COMMIT", []);
+  } catch (err) {
+    await target.query("ROLLBACK", []).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * copy <table> --to <target> [--as name] [--batch 1000] [--dry-run], reading
+ * through `source` (the running script's adapter).
+ */
+export async function copyTable(source, table, opts) {
+  if (!table) throw new Error("Missing table name");
+  const to = parseTarget(opts.to);
+  const { engine } = to;
+  const name = opts.as ? String(opts.as) : table.split(".").pop();
+  const batch = opts.batch ? Number(opts.batch) : 1000;
+  if (!Number.isInteger(batch) || batch <= 0) throw new Error("--batch must be a positive integer");
+  const { columns, primaryKey } = await sourceColumns(source, table, opts);
+  const label = `${name} (${engine})`;
+
+  const target = await openTarget(to);
+  try {
+    const existing = await target.tableColumns(name);
+    let create = null;
+    if (target.dialect !== "mongo") {
+      if (existing) {
+        const missing = columns.filter((c) => !existing.includes(c.name)).map((c) => c.name);
+        if (missing.length) throw new Error(`Columns not in target ${name}: ${missing.join(", ")} (copy --as a new table instead)`);
+      } else {
+        create = createSql(target.dialect, name, columns, primaryKey);
+      }
+    }
+
+    if (opts["dry-run"]) {
+      console.log(`Dry run: ${source.dialect} ${table} → ${label}\n`);
+      for (const c of columns) {
+        const to = target.dialect === "mongo" ? c.kind : sqlType(c, target.dialect, primaryKey.includes(c.name));
+        console.log(`  ${c.name.padEnd(24)} ${(c.declared ?? c.kind).padEnd(28)} → ${to}`);
+      }
+      if (create) console.log(`\nWould create:\n${create};`);
+      else console.log(`\n${target.dialect === "mongo" ? "Collection" : "Table"} ${name} ${existing ? "exists; rows are appended" : "is created on the first insert"}.`);
+      console.log("\nNothing was copied.");
+      return;
+    }
+
+    if (create) {
+      await target.query(create, []);
+      console.error(`✅ Created table ${name}`);
+    }
+    const started = Date.now();
+    let copied = 0;
+    for await (const rows of source.readBatches(table, batch, opts.filter, { bson: target.dialect === "mongo" })) {
+      try {
+        await writeBatch(source, target, name, columns, rows);
+      } catch (err) {
+        throw new Error(`${err.message}\n  ${copied} row(s) were copied before the failing batch; it was rolled back.`);
+      }
+      copied += rows.length;
+      if (process.stderr.isTTY) process.stderr.write(`\r  ${copied.toLocaleString()} rows (${((Date.now() - started) / 1000).toFixed(1)}s)`);
+    }
+    if (process.stderr.isTTY && copied) process.stderr.write("\n");
+    console.log(`✅ Copied ${copied} row(s) from ${table} to ${label} in ${((Date.now() - started) / 1000).toFixed(1)}s.`);
+  } finally {
+    await target.close();
+  }
+}
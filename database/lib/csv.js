@@ -0,0 +1,53 @@
+/**
+ * RFC 4180 CSV reader
+ *
+ * Handles quoted fields with doubled quotes, embedded commas and newlines,
+ * CRLF or LF line ends, a UTF-8 BOM and a missing final newline. Each record
+ * carries the 1-based line it starts on so callers can report bad rows.
+ */
+
+export function parseCsv(text, delimiter = ",") {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endField = () => { fields.push(field); field = ""; };
+  const endRecord = () => {
+    endField();
+    // Skip blank lines rather than yielding a record with one empty field.
+    if (fields.length > 1 || fields[0] !== "") records.push({ line: recordLine, fields });
+    fields = [];
+  };
+
+  while (i < text.length) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i += 2; continue; }
+      if (c === '"') { quoted = false; i++; continue; }
+      if (c === "\n") line++;
+      field += c;
+      i++;
+    } else if (c === '"' && field === "") {
+      quoted = true;
+      i++;
+    } else if (c === delimiter) {
+      endField();
+      i++;
+    } else if (c === "\r" || c === "\n") {
+      endRecord();
+      i += c === "\r" && text[i + 1] === "\n" ? 2 : 1;
+      line++;
+      recordLine = line;
+    } else {
+      field += c;
+      i++;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  if (field !== "" || fields.length > 0) endRecord();
+  return records;
+}
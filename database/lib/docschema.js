@@ -0,0 +1,203 @@
+/**
+ * Schemas inferred from Mongo documents, for mongo.js `schema` and `apply-validator`
+ *
+ * A sample of documents becomes a field tree: per field, how many documents
+ * have it and which BSON types it holds (lib/profile.js names). Sub-documents
+ * nest; arrays keep one node for all their elements ("[]"), which nests in
+ * turn when the elements are documents. A field seen in every sampled parent
+ * counts as required.
+ *
+ * Formats:
+ *   tree        indented outline with presence and types (default)
+ *   json        the tree itself
+ *   validator   { $jsonSchema } for createCollection / collMod, in bsonType terms
+ *   jsonschema  draft 2020-12 JSON Schema of the documents as plain JSON
+ *               (ObjectIds, dates and decimals as strings)
+ *   typescript  an interface using the driver's classes (ObjectId, Decimal128, …)
+ */
+
+import { writeFileSync } from "fs";
+import { bsonType } from "./profile.js";
+
+export const SCHEMA_FORMATS = ["tree", "json", "validator", "jsonschema", "typescript"];
+
+function node() {
+  return { count: 0, types: new Map(), fields: null, items: null };
+}
+
+function addValue(n, v) {
+  n.count++;
+  const type = bsonType(v);
+  n.types.set(type, (n.types.get(type) || 0) + 1);
+  if (type === "object") addDocument(n, v);
+  else if (type === "array") {
+    n.items ||= node();
+    for (const item of v) addValue(n.items, item);
+  }
+}
+
+function addDocument(n, doc) {
+  n.fields ||= new Map();
+  for (const [key, v] of Object.entries(doc)) {
+    if (!n.fields.has(key)) n.fields.set(key, node());
+    addValue(n.fields.get(key), v);
+  }
+}
+
+/** Documents → root node; fields of the root are the top-level fields. */
+export function inferSchema(docs) {
+  const root = node();
+  for (const doc of docs) {
+    root.count++;
+    addDocument(root, doc);
+  }
+  root.fields ||= new Map();
+  root.types.set("object", root.count);
+  return root;
+}
+
+// Types by how often they were seen, most common first.
+const typesOf = (n) => [...n.types].sort((a, b) => b[1] - a[1]).map(([type]) => type);
+const objects = (n) => n.types.get("object") || 0;
+const required = (n) => [...(n.fields || [])].filter(([, f]) => f.count === objects(n)).map(([k]) => k);
+const pct = (part, whole) => `${whole ? Math.round((100 * part) / whole) : 0}%`;
+
+function tree(root, title) {
+  const lines = [title, ""];
+  const walk = (n, depth, parentCount) => {
+    for (const [key, f] of n.fields || []) {
+      lines.push(`${"  ".repeat(depth)}${key.padEnd(Math.max(1, 28 - 2 * depth))} ${pct(f.count, parentCount).padStart(4)}  ${typesOf(f).map((t) => (f.types.size > 1 ? `${t} ${f.types.get(t)}` : t)).join(", ")}`);
+      walkChildren(f, depth + 1);
+    }
+  };
+  const walkChildren = (f, depth) => {
+    if (f.fields) walk(f, depth, objects(f));
+    if (f.items?.count) {
+      const items = f.items;
+      lines.push(`${"  ".repeat(depth)}${"[]".padEnd(Math.max(1, 28 - 2 * depth))} ${"".padStart(4)}  ${typesOf(items).map((t) => (items.types.size > 1 ? `${t} ${items.types.get(t)}` : t)).join(", ")}`);
+      walkChildren(items, depth + 1);
+    }
+  };
+  walk(root, 0, objects(root));
+  return lines.join("\n") + "\n";
+}
+
+function treeJson(n) {
+  const out = { count: n.count, types: Object.fromEntries([...n.types].sort((a, b) => b[1] - a[1])) };
+  if (n.fields) out.fields = Object.fromEntries([...n.fields].map(([k, f]) => [k, treeJson(f)]));
+  if (n.items?.count) out.items = treeJson(n.items);
+  return out;
+}
+
+// $jsonSchema spells a few types differently from lib/profile.js.
+const BSON_TYPE_NAMES = { Code: "javascript", MinKey: "minKey", MaxKey: "maxKey", BSONSymbol: "symbol", DBRef: "object", number: "double" };
+
+function validatorNode(n) {
+  const types = [...new Set(typesOf(n).map((t) => BSON_TYPE_NAMES[t] || t))];
+  const out = { bsonType: types.length === 1 ? types[0] : types };
+  if (n.fields?.size) {
+    const req = required(n);
+    if (req.length) out.required = req;
+    out.properties = Object.fromEntries([...n.fields].map(([k, f]) => [k, validatorNode(f)]));
+  }
+  if (n.items?.count) out.items = validatorNode(n.items);
+  return out;
+}
+
+const JSON_TYPES = {
+  objectId: { type: "string", pattern: "^[0-9a-f]{24}$" },
+  date: { type: "string", format: "date-time" },
+  decimal: { type: "string" },
+  int: { type: "integer" },
+  long: { type: "integer" },
+  double: { type: "number" },
+  number: { type: "number" },
+  bool: { type: "boolean" },
+  binData: { type: "string", contentEncoding: "base64" },
+  regex: { type: "string" },
+};
+
+function jsonSchemaNode(n) {
+  const variants = typesOf(n).map((t) => {
+    if (t === "object") {
+      const out = { type: "object" };
+      if (n.fields?.size) {
+        out.properties = Object.fromEntries([...n.fields].map(([k, f]) => [k, jsonSchemaNode(f)]));
+        const req = required(n);
+        if (req.length) out.required = req;
+      }
+      return out;
+    }
+    if (t === "array") return n.items?.count ? { type: "array", items: jsonSchemaNode(n.items) } : { type: "array" };
+    return JSON_TYPES[t] || { type: ["string", "null", "boolean"].includes(t) ? t : "string" };
+  });
+  // Identical variants (int and long are both integers) collapse.
+  const unique = [...new Map(variants.map((v) => [JSON.stringify(v), v])).values()];
+  if (unique.length === 1) return unique[0];
+  if (unique.every((v) => Object.keys(v).length === 1)) return { type: [...new Set(unique.map((v) => v.type))] };
+  return { anyOf: unique };
+}
+
+const TS_TYPES = { objectId: "ObjectId", date: "Date", decimal: "Decimal128", long: "Long", int: "number", double: "number", number: "number", bool: "boolean", binData: "Binary", timestamp: "Timestamp", regex: "BSONRegExp", string: "string", null: "null" };
+const DRIVER_CLASSES = new Set(["ObjectId", "Decimal128", "Long", "Binary", "Timestamp", "BSONRegExp"]);
+
+function tsParts(n, indent, used) {
+  const parts = typesOf(n).map((t) => {
+    if (t === "object") return n.fields?.size ? tsObject(n, indent, used) : "Record<string, unknown>";
+    if (t === "array") {
+      const items = n.items?.count ? tsParts(n.items, indent, used) : ["unknown"];
+      return items.length > 1 ? `(${items.join(" | ")})[]` : `${items[0]}[]`;
+    }
+    const ts = TS_TYPES[t] || "unknown";
+    if (DRIVER_CLASSES.has(ts)) used.add(ts);
+    return ts;
+  });
+  return [...new Set(parts)];
+}
+
+function tsObject(n, indent, used) {
+  const req = new Set(required(n));
+  const pad = "  ".repeat(indent + 1);
+  const lines = [...n.fields].map(([k, f]) => {
+    const name = /^[A-Za-z_$][\w$]*$/.test(k) ? k : JSON.stringify(k);
+    return `${pad}${name}${req.has(k) ? "" : "?"}: ${tsParts(f, indent + 1, used).join(" | ")};`;
+  });
+  return `{\n${lines.join("\n")}\n${"  ".repeat(indent)}}`;
+}
+
+const typeName = (name) => name.replace(/(^|[^A-Za-z0-9]+)([A-Za-z0-9])/g, (_, __, c) => c.toUpperCase()).replace(/^(?=\d)/, "_") || "Document";
+
+/** The $jsonSchema validator for collMod / createCollection. */
+export function validatorOf(root) {
+  return { $jsonSchema: validatorNode(root) };
+}
+
+/** Render the schema; source is { name, total, sampled, sample: "random"|"first" }. */
+export function renderSchema(root, source, format = "tree") {
+  if (!SCHEMA_FORMATS.includes(format)) throw new Error(`Unknown schema format: ${format} (use ${SCHEMA_FORMATS.join("|")})`);
+  if (format === "tree") {
+    const sampled = source.sampled === source.total ? `all ${source.total.toLocaleString("en-US")} documents` : `${source.sampled.toLocaleString("en-US")} of ${source.total.toLocaleString("en-US")} documents (${source.sample} sample)`;
+    return tree(root, `${source.name} — ${sampled}`);
+  }
+  if (format === "json") return JSON.stringify({ collection: source.name, sampled: source.sampled, ...treeJson(root) }, null, 2) + "\n";
+  if (format === "validator") return JSON.stringify(validatorOf(root), null, 2) + "\n";
+  if (format === "jsonschema") {
+    return JSON.stringify({ $schema: "https://json-schema.org/draft/2020-12/schema", title: source.name, ...jsonSchemaNode(root) }, null, 2) + "\n";
+  }
+  const used = new Set();
+  const body = tsObject(root, 0, used);
+  const imports = used.size ? `import type { ${[...used].sort().join(", ")} } from "mongodb";\n\n` : "";
+  return `${imports}export interface ${typeName(source.name)} ${body}\n`;
+}
+
+/** The schema command: print it, or write it to --output <file>. */
+export function printSchema(root, source, opts) {
+  const format = opts.format || "tree";
+  const text = renderSchema(root, source, format);
+  if (opts.output) {
+    writeFileSync(opts.output, text);
+    console.log(`✅ Wrote ${format} schema of ${source.name} to ${opts.output}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
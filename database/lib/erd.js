@@ -0,0 +1,127 @@
+/**
+ * Entity-relationship diagrams from the lib/schema.js model
+ *
+ * Formats:
+ *   mermaid  erDiagram block (default); PK/FK/UK markers, crow's-foot
+ *            cardinality from FK nullability and uniqueness
+ *   dot      Graphviz digraph with one HTML-table node per table and an edge
+ *            from each FK column to the referenced column
+ *   json     tables with columns, keys and relationships
+ */
+
+import { writeFileSync } from "fs";
+
+export const ERD_FORMATS = ["mermaid", "dot", "json"];
+
+function relationships(tables) {
+  const out = [];
+  for (const t of Object.values(tables)) {
+    for (const fk of t.foreignKeys) {
+      if (!tables[fk.refTable]) continue;
+      const cols = t.columns.filter((c) => fk.columns.includes(c.name));
+      const key = fk.columns.join(",");
+      out.push({
+        name: fk.name,
+        from: t.name,
+        columns: fk.columns,
+        to: fk.refTable,
+        refColumns: fk.refColumns,
+        optional: cols.some((c) => c.nullable),
+        // An FK that is also unique (or the whole PK) points at most one row back.
+        oneToOne: [t.primaryKey, ...t.indexes.filter((i) => i.unique)].some((i) => i?.columns.join(",") === key),
+      });
+    }
+  }
+  return out;
+}
+
+function keyMarkers(table, column) {
+  const marks = [];
+  if (table.primaryKey?.columns.includes(column)) marks.push("PK");
+  if (table.foreignKeys.some((fk) => fk.columns.includes(column))) marks.push("FK");
+  if (table.indexes.some((i) => i.unique && i.columns.length === 1 && i.columns[0] === column)) marks.push("UK");
+  return marks;
+}
+
+// Mermaid names and types allow only word characters (plus a few for types).
+const mermaidName = (s) => s.replace(/[^A-Za-z0-9_-]/g, "_");
+const mermaidType = (s) => s.replace(/[^A-Za-z0-9_()[\]-]/g, "_");
+
+function mermaid(tables, rels) {
+  const lines = ["erDiagram"];
+  for (const t of Object.values(tables)) {
+    lines.push(`  ${mermaidName(t.name)} {`);
+    for (const c of t.columns) {
+      const marks = keyMarkers(t, c.name);
+      lines.push(`    ${mermaidType(c.type)} ${mermaidName(c.name)}${marks.length ? ` ${marks.join(", ")}` : ""}${c.nullable ? "" : ' "not null"'}`);
+    }
+    lines.push("  }");
+  }
+  for (const r of rels) {
+    const parent = r.optional ? "|o" : "||";
+    const child = r.oneToOne ? "o|" : "o{";
+    lines.push(`  ${mermaidName(r.to)} ${parent}--${child} ${mermaidName(r.from)} : "${r.columns.join(", ")}"`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+const html = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const dotId = (s) => `"${String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+function dot(tables, rels) {
+  const lines = [
+    "digraph schema {",
+    "  rankdir=LR;",
+    '  node [shape=plaintext, fontname="Helvetica", fontsize=10];',
+    '  edge [fontname="Helvetica", fontsize=8, arrowhead=crow, arrowtail=tee, dir=both];',
+  ];
+  for (const t of Object.values(tables)) {
+    const rows = t.columns.map((c) => {
+      const marks = keyMarkers(t, c.name);
+      const name = marks.includes("PK") ? `<B>${html(c.name)}</B>` : html(c.name);
+      return `<TR><TD PORT=${dotId(c.name)} ALIGN="LEFT">${name}</TD><TD ALIGN="LEFT">${html(c.type)}${c.nullable ? "" : " NOT NULL"}</TD><TD>${marks.join(" ")}</TD></TR>`;
+    });
+    lines.push(`  ${dotId(t.name)} [label=<<TABLE BORDER="0" CELLBORDER="1" CELLSPACING="0"><TR><TD COLSPAN="3" BGCOLOR="lightgrey"><B>${html(t.name)}</B></TD></TR>${rows.join("")}</TABLE>>];`);
+  }
+  for (const r of rels) {
+    lines.push(`  ${dotId(r.from)}:${dotId(r.columns[0])} -> ${dotId(r.to)}:${dotId(r.refColumns[0])} [label=${dotId(r.columns.join(", "))}${r.oneToOne ? ", arrowhead=tee" : ""}${r.optional ? ", style=dashed" : ""}];`);
+  }
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+/** Render the diagram; --tables a,b limits it to those tables. */
+export function renderErd(schema, { format = "mermaid", tables: only } = {}) {
+  if (!ERD_FORMATS.includes(format)) throw new Error(`Unknown ERD format: ${format} (use ${ERD_FORMATS.join("|")})`);
+  let tables = schema.tables;
+  if (only) {
+    const names = String(only).split(",").map((s) => s.trim());
+    const missing = names.filter((n) => !tables[n]);
+    if (missing.length) throw new Error(`Table not found: ${missing.join(", ")}`);
+    tables = Object.fromEntries(names.map((n) => [n, tables[n]]));
+  }
+  const rels = relationships(tables);
+  if (format === "mermaid") return mermaid(tables, rels);
+  if (format === "dot") return dot(tables, rels);
+  return JSON.stringify({
+    dialect: schema.dialect,
+    tables: Object.values(tables).map((t) => ({
+      name: t.name,
+      columns: t.columns.map((c) => ({ ...c, keys: keyMarkers(t, c.name) })),
+      primaryKey: t.primaryKey?.columns || [],
+      indexes: t.indexes.map(({ name, columns, unique }) => ({ name, columns, unique })),
+    })),
+    relationships: rels,
+  }, null, 2) + "\n";
+}
+
+/** The erd command: print the diagram, or write it to --output <file>. */
+export function printErd(schema, opts) {
+  const text = renderErd(schema, { format: opts.format || "mermaid", tables: opts.tables });
+  if (opts.output) {
+    writeFileSync(opts.output, text);
+    console.log(`✅ Wrote ${opts.format || "mermaid"} diagram to ${opts.output}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
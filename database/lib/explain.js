@@ -0,0 +1,213 @@
+/**
+ * Query plan rendering and index advice for postgres.js, mysql.js and sqlite.js
+ *
+ * Each script runs its engine's EXPLAIN and converts the plan into nodes of
+ *   { title, cost, rows, actual: { time, rows, loops } | null, details: [],
+ *     scan: { table, alias } | null, children: [] }
+ * where `scan` marks a full table scan. printExplain() draws the tree, then
+ * for every full scan of a large table lists the columns the query filters
+ * or joins on and proposes an index over them.
+ */
+
+import { tokenize } from "./sql.js";
+import { createIndexSql } from "./schema.js";
+
+// ── Columns used in WHERE / JOIN … ON ──
+
+const CLAUSES = new Set(["SELECT", "FROM", "JOIN", "WHERE", "ON", "GROUP", "ORDER", "HAVING", "LIMIT", "SET", "VALUES", "USING", "RETURNING", "UNION", "INTO", "UPDATE", "WINDOW"]);
+const TABLE_CLAUSES = new Set(["FROM", "JOIN", "UPDATE", "INTO"]);
+const RESERVED = new Set([
+  "AND", "OR", "NOT", "NULL", "TRUE", "FALSE", "IS", "IN", "LIKE", "ILIKE", "BETWEEN", "EXISTS", "CASE", "WHEN",
+  "THEN", "ELSE", "END", "AS", "LEFT", "RIGHT", "INNER", "OUTER", "FULL", "CROSS", "NATURAL", "LATERAL", "BY",
+  "OFFSET", "ALL", "DISTINCT", "ANY", "SOME", "INTERVAL", "ASC", "DESC", "FETCH", "FOR", "WITH", "DELETE", "INSERT",
+  "CURRENT_DATE", "CURRENT_TIME", "CURRENT_TIMESTAMP", ...CLAUSES,
+]);
+
+function unquote(token, dialect) {
+  if (token.type === "ident") return token.value.slice(1, -1).replace(/""/g, '"').replace(/``/g, "`");
+  // PostgreSQL folds unquoted names to lower case.
+  return dialect === "postgres" ? token.value.toLowerCase() : token.value;
+}
+
+function upper(token) {
+  return token?.type === "word" ? token.value.toUpperCase() : token?.value;
+}
+
+// "eq" for = / IN / IS, "range" for < > LIKE BETWEEN, null for <> != NOT …
+function operatorAfter(tokens, k) {
+  const v = upper(tokens[k]);
+  const next = tokens[k + 1]?.value;
+  if (v === "=" || v === "IN" || v === "IS") return "eq";
+  if (v === "<" && next === ">") return null;
+  if (v === "<" || v === ">" || v === "LIKE" || v === "ILIKE" || v === "BETWEEN") return "range";
+  return null;
+}
+
+function operatorBefore(tokens, k) {
+  const v = tokens[k - 1]?.value;
+  const prev = tokens[k - 2]?.value;
+  if (v === "=") return prev === "<" || prev === ">" ? "range" : prev === "!" ? null : "eq";
+  if (v === ">") return prev === "<" ? null : "range";
+  if (v === "<") return "range";
+  return null;
+}
+
+/**
+ * Find the tables a statement reads (alias → table) and the columns it
+ * compares in WHERE and ON clauses: [{ qualifier, column, kind, clause }].
+ */
+export function conditionColumns(sql, dialect) {
+  const tokens = [...tokenize(sql, dialect)].filter((t) => t.type !== "space" && t.type !== "comment");
+  const isName = (t) => t && (t.type === "ident" || (t.type === "word" && !RESERVED.has(t.value.toUpperCase())));
+  const aliases = new Map();
+  const columns = [];
+  let clause = null;
+  let expectTable = false;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t.type === "word" && CLAUSES.has(t.value.toUpperCase())) {
+      clause = t.value.toUpperCase();
+      expectTable = TABLE_CLAUSES.has(clause);
+      continue;
+    }
+    if (t.value === "," && clause === "FROM") { expectTable = true; continue; }
+
+    if (expectTable) {
+      expectTable = false;
+      if (!isName(t)) continue; // a subquery or function
+      let name = unquote(t, dialect);
+      while (tokens[i + 1]?.value === "." && isName(tokens[i + 2])) { name += "." + unquote(tokens[i + 2], dialect); i += 2; }
+      let j = i + 1;
+      if (upper(tokens[j]) === "AS") j++;
+      aliases.set(name, name);
+      if (isName(tokens[j]) && tokens[j + 1]?.value !== ".") { aliases.set(unquote(tokens[j], dialect), name); i = j; }
+      continue;
+    }
+
+    if ((clause === "WHERE" || clause === "ON") && isName(t) && tokens[i + 1]?.value !== "(") {
+      let qualifier = null;
+      let column = unquote(t, dialect);
+      let end = i;
+      if (tokens[i + 1]?.value === "." && isName(tokens[i + 2])) { qualifier = column; column = unquote(tokens[i + 2], dialect); end = i + 2; }
+      let k = end + 1;
+      if (tokens[k]?.value === ":" && tokens[k + 1]?.value === ":") k += 3; // PostgreSQL cast
+      const kind = operatorAfter(tokens, k) || operatorBefore(tokens, i);
+      if (kind) columns.push({ qualifier, column, kind, clause });
+      i = end;
+    }
+  }
+  return { aliases, columns };
+}
+
+// ── Index advice ──
+
+function findKey(obj, name) {
+  if (name in obj) return name;
+  return Object.keys(obj).find((k) => k.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * For each full scan of a table with at least opts["min-rows"] rows (default
+ * 1000), the filtered/joined columns and a suggested CREATE INDEX.
+ * WHERE columns win over join columns; equality columns lead and one range
+ * column may follow.
+ */
+export async function adviseIndexes(adapter, sql, scans, opts) {
+  const minRows = opts["min-rows"] === undefined ? 1000 : Number(opts["min-rows"]);
+  const { aliases, columns } = conditionColumns(sql, adapter.dialect);
+  const schema = await adapter.loadSchema();
+  const advice = [];
+  const seen = new Set();
+
+  for (const scan of scans) {
+    let table = aliases.get(scan.alias) || aliases.get(scan.table) || scan.table;
+    if (adapter.dialect === "postgres") table = table.replace(/^public\./, "");
+    const key = findKey(schema.tables, table);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    const def = schema.tables[key];
+    const rows = await adapter.estimateRows(key);
+    if (rows !== null && rows < minRows) continue;
+
+    const names = new Map(def.columns.map((c) => [c.name.toLowerCase(), c.name]));
+    const used = columns.filter((c) => {
+      if (!names.has(c.column.toLowerCase())) return false;
+      if (!c.qualifier) return true;
+      const target = aliases.get(c.qualifier) || c.qualifier;
+      return target.toLowerCase() === key.toLowerCase() || target.toLowerCase() === `public.${key}`.toLowerCase();
+    });
+    const filters = used.some((c) => c.clause === "WHERE") ? used.filter((c) => c.clause === "WHERE") : used;
+    const ordered = [...filters.filter((c) => c.kind === "eq"), ...filters.filter((c) => c.kind === "range")];
+    const picked = [];
+    for (const c of ordered) {
+      const name = names.get(c.column.toLowerCase());
+      if (picked.includes(name)) continue;
+      picked.push(name);
+      if (c.kind === "range" || picked.length === 3) break;
+    }
+
+    const existing = [def.primaryKey, ...def.indexes].find((idx) => idx?.columns.length && idx.columns[0] === picked[0]);
+    advice.push({
+      table: key,
+      rows,
+      columns: used.map((c) => `${names.get(c.column.toLowerCase())} (${c.kind === "eq" ? "=" : "range"})`).filter((c, i, all) => all.indexOf(c) === i),
+      index: picked,
+      existing: existing ? existing.name || "primary key" : null,
+      sql: picked.length && !existing ? createIndexSql(key, { columns: picked, unique: false }, adapter.dialect) : null,
+    });
+  }
+  return advice;
+}
+
+// ── Rendering ──
+
+function headline(node) {
+  let line = node.title;
+  if (node.cost !== undefined && node.cost !== null) line += `  (cost=${node.cost}${node.rows !== undefined ? ` rows=${node.rows}` : ""})`;
+  else if (node.rows !== undefined && node.rows !== null) line += `  (rows=${node.rows})`;
+  if (node.actual) line += ` (actual time=${node.actual.time} rows=${node.actual.rows} loops=${node.actual.loops})`;
+  if (node.scan) line += "  ⚠ full scan";
+  return line;
+}
+
+export function renderPlan(nodes) {
+  const lines = [];
+  const walk = (node, prefix, connector) => {
+    lines.push(prefix + connector + headline(node));
+    const inner = prefix + (connector === "├─ " ? "│  " : connector === "└─ " ? "   " : "");
+    for (const d of node.details) lines.push(inner + (node.children.length ? "│    " : "     ") + d);
+    node.children.forEach((child, i) => walk(child, inner, i === node.children.length - 1 ? "└─ " : "├─ "));
+  };
+  for (const node of nodes) walk(node, "", "");
+  return lines.join("\n");
+}
+
+function collectScans(nodes, out = []) {
+  for (const node of nodes) {
+    if (node.scan) out.push(node.scan);
+    collectScans(node.children, out);
+  }
+  return out;
+}
+
+/**
+ * The explain command's output: plan tree, summary lines (timings) and index
+ * advice; --format json prints the same as one JSON document.
+ */
+export async function printExplain(adapter, sql, nodes, summary, opts) {
+  const advice = await adviseIndexes(adapter, sql, collectScans(nodes), opts);
+  if (opts.format === "json") {
+    console.log(JSON.stringify({ plan: nodes, summary, advice }, null, 2));
+    return;
+  }
+  console.log(renderPlan(nodes));
+  if (summary.length) console.log(`\n${summary.join("\n")}`);
+  for (const a of advice) {
+    console.log(`\n⚠ Full scan on ${a.table}${a.rows !== null ? ` (~${a.rows.toLocaleString("en-US")} rows)` : ""}`);
+    if (a.columns.length === 0) { console.log("  No WHERE/JOIN columns on this table; the scan may be unavoidable."); continue; }
+    console.log(`  Filters/joins on: ${a.columns.join(", ")}`);
+    if (a.existing) console.log(`  Index ${a.existing} already starts with ${a.index[0]}; check statistics (ANALYZE) and selectivity.`);
+    else if (a.sql) console.log(`  Suggest: ${a.sql}`);
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * Identifier quoting for SQL built by the database CLIs
+ *
+ * Table and column names can't be bound as parameters, so every helper
+ * that splices one into SQL goes through quoteIdent/quoteTable instead.
+ */
+
+const QUOTES = { postgres: '"', sqlite: '"', mysql: "`" };
+
+export function quoteIdent(name, dialect) {
+  const q = QUOTES[dialect];
+  if (!q) throw new Error(`Unknown dialect: ${dialect}`);
+  if (typeof name !== "string" || name === "") throw new Error("Missing identifier");
+  return q + name.split(q).join(q + q) + q;
+}
+
+/** Split "schema.table" into its parts. A bare name yields [defaultSchema, name]. */
+export function splitTable(table, defaultSchema) {
+  if (!table) throw new Error("Missing table name");
+  const dot = table.indexOf(".");
+  return dot === -1 ? [defaultSchema, table] : [table.slice(0, dot), table.slice(dot + 1)];
+}
+
+/** Quote a possibly schema-qualified table name: public.users → "public"."users" */
+export function quoteTable(table, dialect) {
+  const [schema, name] = splitTable(table, null);
+  return schema === null ? quoteIdent(name, dialect) : `${quoteIdent(schema, dialect)}.${quoteIdent(name, dialect)}`;
+}
@@ -0,0 +1,289 @@
+/**
+ * `import <table> <file>` for postgres.js, mysql.js and sqlite.js
+ *
+ * Reads CSV (header row), a JSON array of objects or NDJSON, infers a type
+ * per column, optionally creates the table with those types, then inserts in
+ * --batch sized transactions (an existing table's own column types apply).
+ * A batch goes in as multi-row INSERTs; if that fails it is retried row by
+ * row under savepoints so only the bad rows are rejected, each reported with
+ * its line number (record number for JSON arrays).
+ *
+ * The calling script passes an adapter:
+ *   { dialect, query(sql, params) → rows, tableColumns(table) → names | null }
+ */
+
+import { readFileSync } from "fs";
+import { extname } from "path";
+import { parseCsv } from "./csv.js";
+import { quoteIdent, quoteTable } from "./ident.js";
+
+// ── Reading ──
+
+/** csv, json or ndjson: --format, else the file extension (.jsonl counts as ndjson). */
+export function detectFormat(file, format) {
+  const f = String(format || extname(file).slice(1) || "").toLowerCase();
+  if (f === "jsonl") return "ndjson";
+  if (!["csv", "json", "ndjson"].includes(f)) throw new Error(`Can't tell the format of ${file}; pass --format csv|json|ndjson`);
+  return f;
+}
+
+/** Returns { records: [{ line, values }], rejected: [{ line, error }] } */
+export function readRecords(file, format) {
+  const text = readFileSync(file, "utf-8");
+  const records = [];
+  const rejected = [];
+
+  if (format === "csv") {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return { records, rejected };
+    const names = header.fields.map((h) => h.trim());
+    const dupe = names.find((n, i) => !n || names.indexOf(n) !== i);
+    if (dupe !== undefined) throw new Error(dupe ? `Duplicate column in CSV header: ${dupe}` : "Empty column name in CSV header");
+    for (const { line, fields } of rows) {
+      if (fields.length !== names.length) {
+        rejected.push({ line, error: `expected ${names.length} fields, got ${fields.length}` });
+        continue;
+      }
+      records.push({ line, values: Object.fromEntries(names.map((n, i) => [n, fields[i] === "" ? null : fields[i]])) });
+    }
+  } else if (format === "ndjson") {
+    text.split(/\r?\n/).forEach((raw, i) => {
+      if (!raw.trim()) return;
+      try {
+        const values = JSON.parse(raw);
+        if (!values || typeof values !== "object" || Array.isArray(values)) throw new Error("not a JSON object");
+        records.push({ line: i + 1, values });
+      } catch (err) {
+        rejected.push({ line: i + 1, error: err.message });
+      }
+    });
+  } else {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error("JSON import expects an array of objects");
+    data.forEach((values, i) => {
+      if (values && typeof values === "object" && !Array.isArray(values)) records.push({ line: i + 1, values });
+      else rejected.push({ line: i + 1, error: "not a JSON object" });
+    });
+  }
+  return { records, rejected };
+}
+
+// ── Type inference ──
+
+const INTEGER = /^[-+]?(0|[1-9]\d*)$/;
+const REAL = /^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+/** boolean, integer, real, date, timestamp, json or text — strings by what they look like. */
+export function typeOf(v) {
+  if (typeof v === "boolean") return "boolean";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "real";
+  if (typeof v === "object") return "json";
+  const s = String(v).trim();
+  if (/^(true|false)$/i.test(s)) return "boolean";
+  if (INTEGER.test(s)) return "integer";
+  if (REAL.test(s) && !/^[-+]?0\d/.test(s)) return "real";
+  if (DATE.test(s) && !Number.isNaN(Date.parse(s))) return "date";
+  if (TIMESTAMP.test(s) && !Number.isNaN(Date.parse(s.replace(" ", "T")))) return "timestamp";
+  return "text";
+}
+
+// The narrowest type that holds both a and b.
+function widen(a, b) {
+  if (!a || a === b) return b;
+  const pair = new Set([a, b]);
+  if (pair.has("integer") && pair.has("real")) return "real";
+  if (pair.has("date") && pair.has("timestamp")) return "timestamp";
+  return "text";
+}
+
+/** [{ name, type }] in order of first appearance across all records. */
+export function inferColumns(records) {
+  const types = new Map();
+  for (const { values } of records) {
+    for (const [name, v] of Object.entries(values)) {
+      const current = types.get(name) || null;
+      types.set(name, v === null || v === undefined ? current : widen(current, typeOf(v)));
+    }
+  }
+  return [...types].map(([name, type]) => ({ name, type: type || "text" }));
+}
+
+function coerce(v, type) {
+  if (v === null || v === undefined) return null;
+  switch (type) {
+    case "boolean": return typeof v === "boolean" ? v : /^true$/i.test(String(v).trim());
+    case "integer": {
+      if (typeof v === "number") return v;
+      const n = Number(v);
+      return Number.isSafeInteger(n) ? n : BigInt(String(v).trim());
+    }
+    case "real": return Number(v);
+    case "timestamp": return new Date(String(v).trim().replace(" ", "T"));
+    case "json": return JSON.stringify(v);
+    case "text": return typeof v === "object" ? JSON.stringify(v) : String(v);
+    default: return v;
+  }
+}
+
+// Values for a table that already exists go in as the file had them, so the
+// table's own column types decide ("1.50" stays "1.50" in a TEXT column).
+// Only what the drivers can't bind is converted.
+function raw(v, dialect) {
+  if (v === null || v === undefined) return null;
+  if (typeof v === "boolean") return dialect === "sqlite" ? Number(v) : v;
+  return typeof v === "object" ? JSON.stringify(v) : v;
+}
+
+// ── Dialects ──
+
+const SQL_TYPES = {
+  postgres: { integer: "BIGINT", real: "DOUBLE PRECISION", boolean: "BOOLEAN", date: "DATE", timestamp: "TIMESTAMPTZ", json: "JSONB", text: "TEXT" },
+  mysql: { integer: "BIGINT", real: "DOUBLE", boolean: "BOOLEAN", date: "DATE", timestamp: "DATETIME(3)", json: "JSON", text: "TEXT" },
+  sqlite: { integer: "INTEGER", real: "REAL", boolean: "INTEGER", date: "TEXT", timestamp: "TEXT", json: "TEXT", text: "TEXT" },
+};
+
+// Largest number of bind parameters we put in one statement (all three
+// engines allow at least 32766).
+export const MAX_PARAMS = 30000;
+
+function placeholder(dialect, n) {
+  return dialect === "postgres" ? `$${n}` : "?";
+}
+
+export function createTableSql(dialect, table, columns, keys = []) {
+  const defs = columns.map(({ name, type }) => {
+    // MySQL can't index an unbounded TEXT column.
+    const sqlType = dialect === "mysql" && type === "text" && keys.includes(name) ? "VARCHAR(255)" : SQL_TYPES[dialect][type];
+    return `  ${quoteIdent(name, dialect)} ${sqlType}${keys.includes(name) ? " NOT NULL" : ""}`;
+  });
+  if (keys.length) defs.push(`  PRIMARY KEY (${keys.map((k) => quoteIdent(k, dialect)).join(", ")})`);
+  return `CREATE TABLE ${quoteTable(table, dialect)} (\n${defs.join(",\n")}\n)`;
+}
+
+/** Multi-row INSERT of `rowCount` rows; with `keys`, an upsert on them. */
+export function insertSql(dialect, table, names, rowCount, keys = []) {
+  const q = (n) => quoteIdent(n, dialect);
+  let n = 0;
+  const tuple = () => `(${names.map(() => placeholder(dialect, ++n)).join(", ")})`;
+  let sql = `INSERT INTO ${quoteTable(table, dialect)} (${names.map(q).join(", ")}) VALUES ${Array.from({ length: rowCount }, tuple).join(", ")}`;
+  if (keys.length) {
+    const rest = names.filter((c) => !keys.includes(c));
+    if (dialect === "mysql") {
+      const set = (rest.length ? rest : keys).map((c) => `${q(c)} = VALUES(${q(c)})`).join(", ");
+      sql += ` ON DUPLICATE KEY UPDATE ${set}`;
+    } else {
+      const target = `(${keys.map(q).join(", ")})`;
+      sql += rest.length
+        ? ` ON CONFLICT ${target} DO UPDATE SET ${rest.map((c) => `${q(c)} = excluded.${q(c)}`).join(", ")}`
+        : ` ON CONFLICT ${target} DO NOTHING`;
+    }
+  }
+  return sql;
+}
+
+// ── Import ──
+
+/** Rejected rows to stderr, at most 20; unit is "line" or "record". */
+export function printRejected(rejected, unit) {
+  if (rejected.length === 0) return;
+  console.error(`\nRejected ${rejected.length} row(s):`);
+  for (const { line, error } of rejected.slice(0, 20)) console.error(`  ${unit} ${line}: ${error}`);
+  if (rejected.length > 20) console.error(`  … and ${rejected.length - 20} more`);
+}
+
+/**
+ * opts: format, create, "upsert-key" (comma-separated), batch, "dry-run".
+ * Dry runs read, infer and validate, print the plan and write nothing.
+ */
+export async function importFile(adapter, table, file, opts) {
+  if (!table || !file) throw new Error("Usage: import <table> <file>");
+  const { dialect } = adapter;
+  const format = detectFormat(file, opts.format);
+  const batchSize = opts.batch ? Number(opts.batch) : 1000;
+  if (!Number.isInteger(batchSize) || batchSize <= 0) throw new Error("--batch must be a positive integer");
+  const keys = opts["upsert-key"] ? String(opts["upsert-key"]).split(",").map((k) => k.trim()) : [];
+
+  const { records, rejected } = readRecords(file, format);
+  const inferred = inferColumns(records);
+  const existing = await adapter.tableColumns(table);
+
+  if (!existing && !opts.create) throw new Error(`Table ${table} does not exist (pass --create to create it)`);
+  const columns = existing ? inferred.filter((c) => existing.includes(c.name)) : inferred;
+  const unknown = existing ? inferred.filter((c) => !existing.includes(c.name)).map((c) => c.name) : [];
+  if (unknown.length) throw new Error(`Columns not in ${table}: ${unknown.join(", ")}`);
+  if (columns.length === 0) throw new Error(`No columns found in ${file}`);
+  const missingKey = keys.find((k) => !columns.some((c) => c.name === k));
+  if (missingKey) throw new Error(`--upsert-key column ${missingKey} is not in ${file}`);
+
+  const names = columns.map((c) => c.name);
+  const unit = format === "json" ? "record" : "line";
+  const createSql = existing ? null : createTableSql(dialect, table, columns, keys);
+
+  if (opts["dry-run"]) {
+    console.log(`Dry run: ${records.length + rejected.length} row(s) from ${file} (${format}) → ${table}\n`);
+    console.log("Columns:");
+    for (const c of columns) console.log(`  ${c.name.padEnd(24)} ${c.type}`);
+    console.log(createSql ? `\nWould create:\n${createSql};` : `\nTable ${table} exists.`);
+    if (keys.length) console.log(`Upsert on: ${keys.join(", ")}`);
+    console.log(`\nWould insert ${records.length} row(s) in batches of ${batchSize}.`);
+    printRejected(rejected, unit);
+    console.log("\nNothing was written.");
+    return;
+  }
+
+  if (createSql) {
+    await adapter.query(createSql, []);
+    console.log(`✅ Created table ${table}`);
+  }
+
+  const rowsPerInsert = Math.max(1, Math.min(batchSize, Math.floor(MAX_PARAMS / names.length)));
+  const valuesOf = existing
+    ? (record) => columns.map((c) => raw(record.values[c.name], dialect))
+    : (record) => columns.map((c) => coerce(record.values[c.name], c.type));
+  const insertRows = async (batch) => {
+    for (let i = 0; i < batch.length; i += rowsPerInsert) {
+      const chunk = batch.slice(i, i + rowsPerInsert);
+      await adapter.query(insertSql(dialect, table, names, chunk.length, keys), chunk.flatMap(valuesOf));
+    }
+  };
+
+  let imported = 0;
+  for (let start = 0; start < records.length; start += batchSize) {
+    const batch = records.slice(start, start + batchSize);
+    await adapter.query("BEGIN", []);
+    try {
+      await adapter.query("SAVEPOINT loop_batch", []);
+      try {
+        await insertRows(batch);
+        await adapter.query("RELEASE SAVEPOINT loop_batch", []);
+        imported += batch.length;
+      } catch {
+        // Find the bad rows: replay the batch one row at a time.
+        await adapter.query("ROLLBACK TO SAVEPOINT loop_batch", []);
+        for (const record of batch) {
+          await adapter.query("SAVEPOINT loop_row", []);
+          try {
+            await insertRows([record]);
+            await adapter.query("RELEASE SAVEPOINT loop_row", []);
+            imported++;
+          } catch (err) {
+            await adapter.query("ROLLBACK TO SAVEPOINT loop_row", []);
+            rejected.push({ line: record.line, error: err.message });
+          }
+        }
+      }
+      await adapter.query("COMMIT", []);
+    } catch (err) {
+      await adapter.query("ROLLBACK", []).catch(() => {});
+      throw err;
+    }
+    if (process.stderr.isTTY) process.stderr.write(`\r  ${imported.toLocaleString()} / ${records.length.toLocaleString()} rows`);
+  }
+  if (process.stderr.isTTY && records.length) process.stderr.write("\n");
+
+  rejected.sort((a, b) => a.line - b.line);
+  console.log(`✅ Imported ${imported} row(s) into ${table}${rejected.length ? ` (${rejected.length} rejected)` : ""}.`);
+  printRejected(rejected, unit);
+}
@@ -0,0 +1,116 @@
+/**
+ * Logical decoding for postgres.js `tail`: replication slot output → change events
+ *
+ * Each decoded insert, update, delete or truncate becomes one event:
+ *   { lsn, xid, commit_time, op, table, new, old }
+ * `new` is the row after the change (insert, update); `old` the row before it
+ * (update, delete) — only its key columns unless the table has
+ * REPLICA IDENTITY FULL, and with pgoutput null on updates that kept the key.
+ * Tables in "public" are named without the schema, as everywhere else.
+ *
+ * Two output plugins are understood: pgoutput (built in; binary messages from
+ * pg_logical_slot_get_binary_changes) and wal2json format-version 2 (one JSON
+ * object per row from pg_logical_slot_get_changes).
+ */
+
+// PostgreSQL timestamps count microseconds from 2000-01-01.
+const PG_EPOCH = Date.UTC(2000, 0, 1);
+
+const OPS = { I: "insert", U: "update", D: "delete", T: "truncate" };
+
+const tableName = (schema, table) => (schema === "public" ? table : `${schema}.${table}`);
+
+/** Decoder state that lives as long as the slot is read: relations and the open transaction. */
+export function createDecoder(parse) {
+  return { parse, relations: new Map(), commitTime: null };
+}
+
+// A cursor over one pgoutput message.
+function reader(buf) {
+  let pos = 0;
+  return {
+    byte: () => String.fromCharCode(buf[pos++]),
+    int8: () => buf.readInt8(pos++),
+    int16: () => { pos += 2; return buf.readInt16BE(pos - 2); },
+    int32: () => { pos += 4; return buf.readInt32BE(pos - 4); },
+    int64: () => { pos += 8; return buf.readBigInt64BE(pos - 8); },
+    string: () => { const end = buf.indexOf(0, pos); const s = buf.toString("utf8", pos, end); pos = end + 1; return s; },
+    bytes: (n) => { pos += n; return buf.subarray(pos - n, pos); },
+  };
+}
+
+function tuple(r, relation, parse) {
+  const row = {};
+  const n = r.int16();
+  for (let i = 0; i < n; i++) {
+    const { name, type } = relation.columns[i];
+    const kind = r.byte();
+    if (kind === "n") row[name] = null;
+    else if (kind === "t") row[name] = parse(type, r.bytes(r.int32()).toString("utf8"));
+    // "u": an unchanged TOASTed value the server didn't send; leave it out.
+  }
+  return row;
+}
+
+/** Change events in one pgoutput message (proto_version 1). */
+export function decodePgoutput(decoder, lsn, xid, data) {
+  const r = reader(data);
+  const type = r.byte();
+  switch (type) {
+    case "B": {
+      r.int64(); // final LSN
+      decoder.commitTime = new Date(PG_EPOCH + Number(r.int64() / 1000n));
+      return [];
+    }
+    case "R": {
+      const id = r.int32();
+      const schema = r.string();
+      const name = r.string();
+      r.int8(); // replica identity
+      const columns = Array.from({ length: r.int16() }, () => {
+        r.int8(); // flags: part of the key
+        const column = { name: r.string(), type: r.int32() };
+        r.int32(); // type modifier
+        return column;
+      });
+      decoder.relations.set(id, { table: tableName(schema, name), columns });
+      return [];
+    }
+    case "I":
+    case "U":
+    case "D": {
+      const relation = decoder.relations.get(r.int32());
+      const event = { lsn, xid, commit_time: decoder.commitTime, op: OPS[type], table: relation.table, new: null, old: null };
+      let part = r.byte();
+      if (part === "K" || part === "O") {
+        event.old = tuple(r, relation, decoder.parse);
+        if (type === "U") part = r.byte();
+      }
+      if (part === "N") event.new = tuple(r, relation, decoder.parse);
+      return [event];
+    }
+    case "T": {
+      const count = r.int32();
+      r.int8(); // CASCADE / RESTART IDENTITY
+      return Array.from({ length: count }, () => ({ lsn, xid, commit_time: decoder.commitTime, op: "truncate", table: decoder.relations.get(r.int32())?.table ?? null, new: null, old: null }));
+    }
+    default: return []; // C(ommit), O(rigin), Y (type), M(essage)
+  }
+}
+
+const columnsRow = (columns) => (columns ? Object.fromEntries(columns.map((c) => [c.name, c.value])) : null);
+
+/** Change events in one wal2json (format-version 2) row. */
+export function decodeWal2json(decoder, lsn, xid, data) {
+  const msg = JSON.parse(data);
+  if (msg.action === "B") {
+    decoder.commitTime = msg.timestamp ? new Date(msg.timestamp.replace(" ", "T").replace(/([+-]\d\d)$/, "$1:00")) : null;
+    return [];
+  }
+  if (!OPS[msg.action]) return [];
+  return [{
+    lsn, xid, commit_time: decoder.commitTime, op: OPS[msg.action], table: tableName(msg.schema, msg.table),
+    new: msg.action === "D" ? null : columnsRow(msg.columns),
+    old: columnsRow(msg.identity),
+  }];
+}
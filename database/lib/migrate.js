@@ -0,0 +1,238 @@
+/**
+ * Versioned migrations for postgres.js, mysql.js and sqlite.js (the `migrate` command)
+ *
+ * A migration is a file <version>_<name>.sql in --dir (default ./migrations),
+ * the version being its leading number, with two sections:
+ *
+ *   -- migrate:up
+ *   CREATE TABLE users (…);
+ *   -- migrate:down
+ *   DROP TABLE users;
+ *
+ * Applied versions are recorded with the file's SHA-256 in _loop_migrations.
+ * `up` applies pending files in version order, each in its own transaction
+ * together with its history row (via lib/script.js); `down` reverts the newest.
+ * Both refuse to run while an applied file has changed or gone missing, and
+ * hold a lock from reading the history to the last migration, so two of them
+ * against one database take turns instead of applying the same files twice.
+ */
+
+import { createHash } from "crypto";
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from "fs";
+import { join } from "path";
+import { quoteIdent } from "./ident.js";
+import { formatRows } from "./output.js";
+import { isReadonly } from "./sql.js";
+import { runStatements } from "./script.js";
+
+const TABLE = "_loop_migrations";
+const FILE = /^(\d+)_(.+)\.sql$/;
+const UP = /^--\s*migrate:up[ \t]*$/m;
+const DOWN = /^--\s*migrate:down[ \t]*$/m;
+
+function placeholder(dialect, n) {
+  return dialect === "postgres" ? `$${n}` : "?";
+}
+
+const byVersion = (a, b) => (BigInt(a.version) < BigInt(b.version) ? -1 : BigInt(a.version) > BigInt(b.version) ? 1 : 0);
+
+function migrationFiles(dir) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir).filter((f) => FILE.test(f)).sort();
+}
+
+// The up and down sections, each padded with blank lines so statement line
+// numbers in errors match the file.
+function sections(text, file) {
+  const up = UP.exec(text);
+  if (!up) throw new Error(`${file}: missing a "-- migrate:up" line`);
+  const down = DOWN.exec(text);
+  if (down && down.index < up.index) throw new Error(`${file}: "-- migrate:down" must come after "-- migrate:up"`);
+  const part = (from, to) => "\n".repeat(text.slice(0, from).split("\n").length - 1) + text.slice(from, to);
+  return {
+    up: part(up.index + up[0].length, down ? down.index : text.length),
+    down: down ? part(down.index + down[0].length, text.length) : null,
+  };
+}
+
+function loadMigrations(dir) {
+  if (!existsSync(dir)) throw new Error(`Migrations directory not found: ${dir} (start one with: migrate new <name>)`);
+  const migrations = [];
+  const seen = new Map();
+  for (const file of migrationFiles(dir)) {
+    const [, digits, name] = FILE.exec(file);
+    const version = BigInt(digits).toString();
+    if (seen.has(version)) throw new Error(`Two migrations with version ${version}: ${seen.get(version)} and ${file}`);
+    seen.set(version, file);
+    // Line endings don't count: a CRLF checkout of the same file still matches.
+    const text = readFileSync(join(dir, file), "utf8").replace(/\r\n/g, "\n");
+    migrations.push({ version, name, file, checksum: createHash("sha256").update(text).digest("hex"), ...sections(text, file) });
+  }
+  return migrations.sort(byVersion);
+}
+
+async function loadHistory(adapter) {
+  if (!(await adapter.tableColumns(TABLE))) return new Map();
+  const rows = await adapter.query(`SELECT version, name, checksum, applied_at FROM ${quoteIdent(TABLE, adapter.dialect)}`);
+  return new Map(rows.map((r) => [String(r.version), r]));
+}
+
+async function createHistoryTable(adapter) {
+  const timestamp = { postgres: "TIMESTAMPTZ", mysql: "TIMESTAMP", sqlite: "TEXT" }[adapter.dialect];
+  await adapter.execute(`CREATE TABLE IF NOT EXISTS ${quoteIdent(TABLE, adapter.dialect)} (
+  version VARCHAR(32) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  checksum CHAR(64) NOT NULL,
+  applied_at ${timestamp} NOT NULL DEFAULT CURRENT_TIMESTAMP
+)`);
+}
+
+// A session-level advisory lock on PostgreSQL and MySQL. SQLite has none, so
+// its write lock is taken and kept across the migrations' own transactions
+// with locking_mode = EXCLUSIVE (no other connection can use the file meanwhile).
+const LOCKS = {
+  postgres: {
+    try: `SELECT pg_try_advisory_lock(hashtext('${TABLE}')) AS ok`,
+    wait: `SELECT pg_advisory_lock(hashtext('${TABLE}'))`,
+    release: `SELECT pg_advisory_unlock(hashtext('${TABLE}'))`,
+  },
+  // Lock names are server-wide in MySQL, hence the database in front.
+  mysql: {
+    try: `SELECT GET_LOCK(CONCAT(DATABASE(), '.${TABLE}'), 0) AS ok`,
+    wait: `SELECT GET_LOCK(CONCAT(DATABASE(), '.${TABLE}'), -1)`,
+    release: `SELECT RELEASE_LOCK(CONCAT(DATABASE(), '.${TABLE}'))`,
+  },
+};
+
+async function withLock(adapter, fn) {
+  if (adapter.dialect === "sqlite") {
+    await adapter.execute("PRAGMA locking_mode = EXCLUSIVE");
+    try {
+      await adapter.execute("BEGIN IMMEDIATE").catch((err) => {
+        throw err.code === "SQLITE_BUSY" ? new Error("The database is locked by another migrate or writer; try again when it finishes") : err;
+      });
+      await adapter.execute("COMMIT");
+      return await fn();
+    } finally {
+      // The lock goes with the next access in normal mode.
+      await adapter.execute("PRAGMA locking_mode = NORMAL");
+      await adapter.query("SELECT 1 FROM sqlite_master LIMIT 1");
+    }
+  }
+  const lock = LOCKS[adapter.dialect];
+  const [{ ok }] = await adapter.query(lock.try);
+  if (!ok) {
+    console.error("Waiting for another migrate on this database to finish…");
+    await adapter.query(lock.wait);
+  }
+  try {
+    return await fn();
+  } finally {
+    await adapter.query(lock.release).catch(() => {});
+  }
+}
+
+// Applied files must be untouched; otherwise the database no longer matches
+// what the directory describes.
+function verify(migrations, history, dir) {
+  const files = new Map(migrations.map((m) => [m.version, m]));
+  for (const [version, row] of history) {
+    const m = files.get(version);
+    if (!m) throw new Error(`Applied migration ${version}_${row.name} has no file in ${dir}; restore it before migrating`);
+    if (m.checksum !== row.checksum) {
+      throw new Error(`${m.file} changed after it was applied (checksum ${row.checksum.slice(0, 12)}… is now ${m.checksum.slice(0, 12)}…); restore it and put the change in a new migration`);
+    }
+  }
+}
+
+async function up(adapter, migrations, history, opts) {
+  const newest = [...history.keys()].map(BigInt).reduce((a, b) => (b > a ? b : a), -1n);
+  const early = migrations.find((m) => !history.has(m.version) && BigInt(m.version) < newest);
+  if (early) throw new Error(`${early.file} is pending but older than applied version ${newest}; renumber it above ${newest}`);
+
+  if (opts.to !== undefined && !/^\d+$/.test(String(opts.to))) throw new Error("--to needs a version number, e.g. --to 3");
+  const pending = migrations.filter((m) => !history.has(m.version) && (opts.to === undefined || BigInt(m.version) <= BigInt(opts.to)));
+  if (!pending.length) {
+    console.log(`✅ Nothing to migrate (at version ${newest < 0n ? "none" : newest}).`);
+    return;
+  }
+  await createHistoryTable(adapter);
+  const insert = `INSERT INTO ${quoteIdent(TABLE, adapter.dialect)} (version, name, checksum) VALUES (${[1, 2, 3].map((n) => placeholder(adapter.dialect, n)).join(", ")})`;
+  for (const m of pending) {
+    console.log(`▲ ${m.file}`);
+    await runStatements(adapter, m.up, opts, { source: m.file, finish: (a) => a.query(insert, [m.version, m.name, m.checksum]) })
+      .catch((err) => { throw new Error(`${m.file}: ${err.message}`); });
+  }
+  console.log(`✅ Applied ${pending.length} migration(s); now at version ${pending[pending.length - 1].version}.`);
+}
+
+async function down(adapter, migrations, history, count, opts) {
+  const n = count === undefined ? 1 : Number(count);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid count: ${count}`);
+  const targets = migrations.filter((m) => history.has(m.version)).reverse().slice(0, n);
+  if (!targets.length) {
+    console.log("✅ Nothing to revert.");
+    return;
+  }
+  const missing = targets.find((m) => !m.down);
+  if (missing) throw new Error(`${missing.file} has no "-- migrate:down" section; nothing was reverted`);
+
+  const del = `DELETE FROM ${quoteIdent(TABLE, adapter.dialect)} WHERE version = ${placeholder(adapter.dialect, 1)}`;
+  for (const m of targets) {
+    console.log(`▼ ${m.file}`);
+    await runStatements(adapter, m.down, opts, { source: m.file, finish: (a) => a.query(del, [m.version]) })
+      .catch((err) => { throw new Error(`${m.file}: ${err.message}`); });
+  }
+  const left = migrations.filter((m) => history.has(m.version) && !targets.includes(m));
+  console.log(`✅ Reverted ${targets.length} migration(s); now at version ${left.length ? left[left.length - 1].version : "none"}.`);
+}
+
+async function status(adapter, migrations, history, opts) {
+  const files = new Set(migrations.map((m) => m.version));
+  const rows = migrations.map((m) => {
+    const row = history.get(m.version);
+    return {
+      version: m.version,
+      name: m.name,
+      status: !row ? "pending" : row.checksum === m.checksum ? "applied" : "changed",
+      applied_at: row ? row.applied_at : null,
+    };
+  });
+  for (const [version, row] of history) {
+    if (!files.has(version)) rows.push({ version, name: row.name, status: "missing file", applied_at: row.applied_at });
+  }
+  await formatRows(rows.sort(byVersion), opts);
+}
+
+/** migrate up [--to V] | down [n] | status, against an open connection. */
+export async function runMigrations(adapter, action, arg, opts) {
+  const dir = opts.dir || "migrations";
+  if (action !== "status" && isReadonly(opts)) throw new Error(`Read-only mode: blocked migrate ${action}`);
+  if (opts["dry-run"]) throw new Error("migrate has no --dry-run; see what would run with: migrate status");
+  const migrations = loadMigrations(dir);
+  const locked = (fn) => withLock(adapter, async () => {
+    const history = await loadHistory(adapter);
+    verify(migrations, history, dir);
+    await fn(history);
+  });
+  switch (action) {
+    case "up": await locked((history) => up(adapter, migrations, history, opts)); break;
+    case "down": await locked((history) => down(adapter, migrations, history, arg, opts)); break;
+    case "status": await status(adapter, migrations, await loadHistory(adapter), opts); break;
+    default: throw new Error(action ? `Unknown migrate action: ${action} (use up|down|status|new)` : "Missing migrate action (up|down|status|new)");
+  }
+}
+
+/** migrate new <name>: the next numbered file with empty up/down sections. */
+export function newMigration(dir = "migrations", name) {
+  if (!name) throw new Error("Missing migration name");
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  if (!slug) throw new Error(`Invalid migration name: ${name}`);
+  const files = migrationFiles(dir);
+  const last = files.map((f) => BigInt(FILE.exec(f)[1])).reduce((a, b) => (b > a ? b : a), 0n);
+  const width = Math.max(4, ...files.map((f) => FILE.exec(f)[1].length));
+  const file = join(dir, `${String(last + 1n).padStart(width, "0")}_${slug}.sql`);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(file, "-- migrate:up\n\n\n-- migrate:down\n\n");
+  console.log(`✅ Created ${file}`);
+}
@@ -0,0 +1,43 @@
+/**
+ * MongoDB for mongo.js and lib/copy.js
+ *
+ * makeAdapter gives a database the hooks lib/copy.js calls, and openAdapter
+ * opens a client of its own for it.
+ */
+
+import { Decimal128, MongoClient } from "mongodb";
+
+// Hooks for lib/copy.js, which otherwise speaks SQL; collections stand in for tables.
+export function makeAdapter(db) {
+  return {
+    dialect: "mongo",
+    async tableColumns(name) {
+      // Any existing collection takes any document.
+      return (await db.listCollections({ name }, { nameOnly: true }).toArray()).length ? [] : null;
+    },
+    async sample(name, size, filter = {}) {
+      return await db.collection(name).find(filter).limit(size).toArray();
+    },
+    // { bson: true } keeps int, long and double apart instead of promoting them to numbers.
+    async *readBatches(name, size, filter = {}, { bson = false } = {}) {
+      let docs = [];
+      for await (const doc of db.collection(name).find(filter, { promoteValues: !bson }).batchSize(size)) {
+        docs.push(doc);
+        if (docs.length === size) { yield docs; docs = []; }
+      }
+      if (docs.length > 0) yield docs;
+    },
+    async insertRows(name, docs) {
+      await db.collection(name).insertMany(docs, { ordered: true });
+    },
+    decimal: (v) => Decimal128.fromString(String(v)),
+  };
+}
+
+/** For lib/copy.js: an adapter on a client of its own to target.url; close() closes it. */
+export async function openAdapter(target) {
+  const client = new MongoClient(target.url);
+  await client.connect();
+  const db = client.db(new URL(target.url).pathname.slice(1) || "test");
+  return { ...makeAdapter(db), close: () => client.close() };
+}
@@ -0,0 +1,139 @@
+/**
+ * MySQL for mysql.js and the shared lib/ modules
+ *
+ * getConnectionConfig turns the connection flags into mysql2 options,
+ * makeAdapter gives a connection the hooks lib/ modules call, and
+ * openAdapter opens a connection of its own for lib/copy.js.
+ */
+
+import mysql from "mysql2/promise";
+import { quoteTable, splitTable } from "./ident.js";
+import { resolveTarget, tunnelTarget } from "./connection.js";
+
+// mysql2 options for opts (see lib/connection.js), through an SSH tunnel if asked.
+export async function getConnectionConfig(opts) {
+  const target = resolveTarget(opts, "mysql", {
+    url: process.env.MYSQL_URL,
+    fields: {
+      host: process.env.MYSQL_HOST || "localhost",
+      port: process.env.MYSQL_PORT || "3306",
+      database: process.env.MYSQL_DATABASE || "",
+      user: process.env.MYSQL_USER || "root",
+      password: process.env.MYSQL_PASSWORD || "",
+    },
+  });
+  const { url, ...config } = await tunnelTarget(target, 3306);
+  return url ? { uri: url, ...config } : config;
+}
+
+// mysql2 can't bind plain objects/arrays; send them as JSON text.
+export function toBindValue(v) {
+  if (typeof v === "bigint") return v.toString();
+  if (v instanceof Date || Buffer.isBuffer(v)) return v;
+  return v !== null && typeof v === "object" ? JSON.stringify(v) : v;
+}
+
+// Engine hooks for the shared lib/ modules.
+export function makeAdapter(conn) {
+  return {
+    dialect: "mysql",
+    async query(sql, params = []) {
+      const [rows] = params.length ? await conn.execute(sql, params.map(toBindValue)) : await conn.query(sql);
+      return Array.isArray(rows) ? rows : [];
+    },
+    async execute(sql) {
+      const [result] = await conn.query(sql);
+      return Array.isArray(result) ? result.length : result.affectedRows;
+    },
+    async tableColumns(table) {
+      const [schema, tbl] = splitTable(table, null);
+      const [rows] = await conn.execute(
+        "SELECT column_name AS name FROM information_schema.columns WHERE table_schema = COALESCE(?, DATABASE()) AND table_name = ? ORDER BY ordinal_position",
+        [schema, tbl]);
+      return rows.length ? rows.map((r) => r.name) : null;
+    },
+    async loadSchema() {
+      const tables = {};
+      const [cols] = await conn.query(`
+        SELECT c.table_name AS tbl, c.column_name AS name, c.column_type AS type, c.is_nullable AS nullable,
+          c.column_default AS dflt, c.extra AS extra, c.data_type AS data_type
+        FROM information_schema.columns c JOIN information_schema.tables t
+          ON t.table_schema = c.table_schema AND t.table_name = c.table_name AND t.table_type = 'BASE TABLE'
+        WHERE c.table_schema = DATABASE() ORDER BY c.table_name, c.ordinal_position`);
+      for (const c of cols) {
+        tables[c.tbl] ||= { name: c.tbl, columns: [], primaryKey: { name: "PRIMARY", columns: [] }, indexes: [], foreignKeys: [] };
+        tables[c.tbl].columns.push({
+          name: c.name,
+          type: /auto_increment/i.test(c.extra) ? `${c.type} AUTO_INCREMENT` : c.type,
+          nullable: c.nullable === "YES",
+          default: columnDefault(c),
+          ...(/\b(VIRTUAL|STORED) GENERATED\b/i.test(c.extra) ? { generated: true } : {}),
+        });
+      }
+
+      const [stats] = await conn.query(`
+        SELECT table_name AS tbl, index_name AS name, non_unique AS non_unique, column_name AS col
+        FROM information_schema.statistics
+        WHERE table_schema = DATABASE() AND column_name IS NOT NULL
+        ORDER BY table_name, index_name, seq_in_index`);
+      const indexes = new Map();
+      for (const s of stats) {
+        if (!tables[s.tbl]) continue;
+        if (s.name === "PRIMARY") { tables[s.tbl].primaryKey.columns.push(s.col); continue; }
+        const key = `${s.tbl}\0${s.name}`;
+        if (!indexes.has(key)) {
+          indexes.set(key, { name: s.name, columns: [], unique: Number(s.non_unique) === 0 });
+          tables[s.tbl].indexes.push(indexes.get(key));
+        }
+        indexes.get(key).columns.push(s.col);
+      }
+
+      const [fkCols] = await conn.query(`
+        SELECT k.table_name AS tbl, k.constraint_name AS name, k.column_name AS col,
+          k.referenced_table_name AS ref_table, k.referenced_column_name AS ref_col,
+          r.delete_rule AS on_delete, r.update_rule AS on_update
+        FROM information_schema.key_column_usage k JOIN information_schema.referential_constraints r
+          ON r.constraint_schema = k.constraint_schema AND r.constraint_name = k.constraint_name AND r.table_name = k.table_name
+        WHERE k.table_schema = DATABASE() AND k.referenced_table_name IS NOT NULL
+        ORDER BY k.table_name, k.constraint_name, k.ordinal_position`);
+      const fks = new Map();
+      for (const f of fkCols) {
+        if (!tables[f.tbl]) continue;
+        const key = `${f.tbl}\0${f.name}`;
+        if (!fks.has(key)) {
+          fks.set(key, { name: f.name, columns: [], refTable: f.ref_table, refColumns: [], onDelete: f.on_delete, onUpdate: f.on_update });
+          tables[f.tbl].foreignKeys.push(fks.get(key));
+        }
+        fks.get(key).columns.push(f.col);
+        fks.get(key).refColumns.push(f.ref_col);
+      }
+      return { dialect: "mysql", tables };
+    },
+    async estimateRows(table) {
+      const [schema, tbl] = splitTable(table, null);
+      const [rows] = await conn.execute(
+        "SELECT table_rows AS n FROM information_schema.tables WHERE table_schema = COALESCE(?, DATABASE()) AND table_name = ?",
+        [schema, tbl]);
+      return rows.length && rows[0].n !== null ? Number(rows[0].n) : null;
+    },
+    async *readBatches(table, size) {
+      // The callback connection underneath can stream; the promise wrapper only buffers.
+      const stream = conn.connection.query(`SELECT * FROM ${quoteTable(table, "mysql")}`).stream();
+      let rows = [];
+      for await (const row of stream) {
+        rows.push(row);
+        if (rows.length === size) { yield rows; rows = []; }
+      }
+      if (rows.length > 0) yield rows;
+    },
+  };
+}
+
+/**
+ * For lib/copy.js: an adapter on a connection of its own; close() ends it.
+ * target is { url } or { profile }, resolved like the command-line flags.
+ */
+export async function openAdapter(target) {
+  const conn = await mysql.createConnection(await getConnectionConfig(target));
+  return { ...makeAdapter(conn), close: () => conn.end() };
+}
@@ -0,0 +1,246 @@
+/**
+ * Result output shared by postgres.js, mysql.js, sqlite.js, mongo.js and redis.js
+ *
+ * formatRows prints a result set in one go; createRowWriter takes rows in
+ * chunks so export can stream. Both honour --format and --output <file>.
+ *
+ * Formats:
+ *   table     aligned columns with box-drawing borders (default)
+ *   json      one JSON object per line (alias: ndjson)
+ *   csv       RFC 4180: CRLF line ends; fields with , " CR or LF quoted, quotes doubled
+ *   tsv       tab-separated; tab, CR, LF and backslash escaped as \t \r \n \\
+ *   markdown  GitHub table (alias: md)
+ *   xlsx      Excel workbook (binary: --output or redirected stdout)
+ *   parquet   Parquet file, schema inferred from the first rows (binary, as above)
+ *
+ * Values: NULL → empty (table: NULL), Date → ISO 8601, Buffer → \x-prefixed hex,
+ * BigInt → decimal string (json and parquet: a number when it fits), objects
+ * and arrays (JSON columns, sub-documents) → JSON text (json: nested as-is).
+ */
+
+import { createWriteStream } from "fs";
+import { once } from "events";
+
+export const FORMATS = ["table", "json", "ndjson", "csv", "tsv", "markdown", "md", "xlsx", "parquet"];
+const ALIASES = { ndjson: "json", md: "markdown" };
+const BINARY = new Set(["xlsx", "parquet"]);
+
+export function resolveFormat(format, fallback = "table") {
+  const f = String(format || fallback).toLowerCase();
+  if (!FORMATS.includes(f)) throw new Error(`Unknown format: ${format} (use ${FORMATS.join("|")})`);
+  return ALIASES[f] || f;
+}
+
+/** Column names in order of first appearance; documents need not share keys. */
+export function columnsOf(rows) {
+  const seen = new Set();
+  for (const row of rows) for (const key of Object.keys(row)) seen.add(key);
+  return [...seen];
+}
+
+function hex(buf) {
+  return "\\x" + Buffer.from(buf).toString("hex");
+}
+
+function jsonReplacer(key, v) {
+  if (typeof v === "bigint") return Number.isSafeInteger(Number(v)) ? Number(v) : v.toString();
+  // Buffer.prototype.toJSON runs before the replacer sees the value.
+  if (v && v.type === "Buffer" && Array.isArray(v.data)) return hex(v.data);
+  return v;
+}
+
+export function toJson(value) {
+  return JSON.stringify(value, jsonReplacer);
+}
+
+/** Text form of one value for the flat formats; null for SQL NULL. */
+export function toText(v) {
+  if (v === null || v === undefined) return null;
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? "Invalid Date" : v.toISOString();
+  if (v instanceof Uint8Array) return hex(v);
+  if (typeof v === "bigint") return v.toString();
+  if (typeof v === "object") return v._bsontype ? v.toString() : toJson(v);
+  return String(v);
+}
+
+function csvField(v) {
+  const s = toText(v);
+  if (s === null) return "";
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function tsvField(v) {
+  const s = toText(v);
+  if (s === null) return "";
+  return s.replace(/[\\\t\r\n]/g, (c) => ({ "\\": "\\\\", "\t": "\\t", "\r": "\\r", "\n": "\\n" })[c]);
+}
+
+function markdownField(v) {
+  const s = toText(v);
+  if (s === null) return "";
+  return s.replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+}
+
+function tableField(v) {
+  const s = toText(v);
+  return s === null ? "NULL" : s.replace(/\r?\n/g, "↵");
+}
+
+function renderTable(rows, cols) {
+  const cells = rows.map((r) => cols.map((c) => tableField(r[c])));
+  const widths = cols.map((c, i) => Math.min(40, Math.max(c.length, ...cells.map((r) => r[i].length))));
+  const lines = [`Rows: ${rows.length}`, ""];
+  lines.push(cols.map((c, i) => c.padEnd(widths[i])).join(" │ "));
+  lines.push(widths.map((w) => "─".repeat(w)).join("─┼─"));
+  for (const r of cells) lines.push(r.map((s, i) => s.slice(0, 40).padEnd(widths[i])).join(" │ "));
+  return lines.join("\n") + "\n";
+}
+
+// ── Binary formats (dependencies loaded on first use) ──
+
+function xlsxValue(v) {
+  if (v === null || v === undefined) return null;
+  if (v instanceof Date || typeof v === "number" || typeof v === "boolean") return v;
+  if (typeof v === "bigint") return Number.isSafeInteger(Number(v)) ? Number(v) : v.toString();
+  return toText(v);
+}
+
+async function xlsxWriter(out, cols, opts) {
+  const { default: ExcelJS } = await import("exceljs");
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(opts.sheet || "Sheet1");
+  sheet.addRow(cols).commit();
+  return {
+    async write(rows) { for (const row of rows) sheet.addRow(cols.map((c) => xlsxValue(row[c]))).commit(); },
+    async end() { sheet.commit(); await workbook.commit(); },
+  };
+}
+
+// parquetjs-lite reads INT64 through parseInt, so integers past 2^53 go as UTF8 text.
+const safeInteger = (v) => (typeof v === "bigint" || typeof v === "number") && Number.isSafeInteger(Number(v));
+
+function parquetType(values) {
+  const present = values.filter((v) => v !== null && v !== undefined);
+  if (present.length === 0) return "UTF8";
+  if (present.every((v) => typeof v === "boolean")) return "BOOLEAN";
+  if (present.every(safeInteger)) return "INT64";
+  if (present.every((v) => typeof v === "number")) return "DOUBLE";
+  if (present.every((v) => v instanceof Date)) return "TIMESTAMP_MILLIS";
+  if (present.every((v) => v instanceof Uint8Array)) return "BYTE_ARRAY";
+  return "UTF8";
+}
+
+function parquetValue(v, type, col) {
+  if (v === null || v === undefined) return undefined;
+  switch (type) {
+    case "UTF8": return toText(v);
+    case "INT64": if (safeInteger(v)) return Number(v); break;
+    case "DOUBLE": if (typeof v === "number") return v; break;
+    case "BOOLEAN": if (typeof v === "boolean") return v; break;
+    case "TIMESTAMP_MILLIS": if (v instanceof Date) return v; break;
+    case "BYTE_ARRAY": if (v instanceof Uint8Array) return Buffer.from(v); break;
+  }
+  throw new Error(`Parquet column "${col}" was inferred as ${type} but got ${toText(v)}`);
+}
+
+async function parquetWriter(out, cols, firstRows) {
+  const { default: parquet } = await import("parquetjs-lite");
+  const types = Object.fromEntries(cols.map((c) => [c, parquetType(firstRows.map((r) => r[c]))]));
+  const schema = new parquet.ParquetSchema(Object.fromEntries(cols.map((c) => [c, { type: types[c], optional: true }])));
+  const writer = await parquet.ParquetWriter.openStream(schema, out);
+  return {
+    async write(rows) {
+      for (const row of rows) {
+        await writer.appendRow(Object.fromEntries(cols.map((c) => [c, parquetValue(row[c], types[c], c)])));
+      }
+    },
+    async end() { await writer.close(); },
+  };
+}
+
+// ── Writers ──
+
+/**
+ * Create a writer: `await w.write(rows)` any number of times, then
+ * `await w.end()`, which returns the row count. Columns default to the keys
+ * of the first non-empty chunk. The table format buffers until end().
+ */
+export function createRowWriter(opts, { format = resolveFormat(opts.format), columns = null } = {}) {
+  if (BINARY.has(format) && !opts.output && process.stdout.isTTY) {
+    throw new Error(`${format} output is binary; pass --output <file> or redirect stdout`);
+  }
+  const out = opts.output ? createWriteStream(opts.output) : process.stdout;
+  // A bad --output path (or a full disk) is thrown from the next write or end().
+  let failed = null;
+  const opened = opts.output ? once(out, "open").catch((err) => { failed = err; }) : null;
+  if (opts.output) out.on("error", (err) => { failed ||= err; });
+  const check = async () => {
+    await opened;
+    if (failed) throw failed;
+  };
+  const put = async (text) => {
+    await check();
+    if (text && !out.write(text)) await once(out, "drain");
+  };
+  const buffered = [];
+  let cols = columns;
+  let binary = null;
+  let count = 0;
+
+  const header = () => {
+    if (format === "csv") return cols.map(csvField).join(",") + "\r\n";
+    if (format === "tsv") return cols.map(tsvField).join("\t") + "\n";
+    if (format === "markdown") return `| ${cols.map(markdownField).join(" | ")} |\n|${cols.map(() => " --- ").join("|")}|\n`;
+    return "";
+  };
+
+  const line = (row) => {
+    if (format === "json") return toJson(row) + "\n";
+    if (format === "csv") return cols.map((c) => csvField(row[c])).join(",") + "\r\n";
+    if (format === "tsv") return cols.map((c) => tsvField(row[c])).join("\t") + "\n";
+    return `| ${cols.map((c) => markdownField(row[c])).join(" | ")} |\n`;
+  };
+
+  const start = async (rows) => {
+    cols ||= columnsOf(rows);
+    await check();
+    if (format === "xlsx") binary = await xlsxWriter(out, cols, opts);
+    else if (format === "parquet") binary = await parquetWriter(out, cols, rows);
+    else await put(header());
+  };
+
+  return {
+    format,
+    async write(rows) {
+      if (rows.length === 0) return;
+      if (format === "table") { buffered.push(...rows); count += rows.length; return; }
+      if (count === 0) await start(rows);
+      count += rows.length;
+      if (binary) await binary.write(rows);
+      else await put(rows.map(line).join(""));
+    },
+    async end() {
+      if (format === "table") await put(renderTable(buffered, cols || columnsOf(buffered)));
+      else if (count === 0 && cols) await start([]);
+      if (binary) await binary.end();
+      if (opts.output) {
+        await check();
+        if (!out.writableEnded) out.end();
+        if (!out.writableFinished) await once(out, "finish");
+      }
+      return count;
+    },
+  };
+}
+
+/**
+ * Print a complete result set. With no rows and no --output this prints
+ * "No rows returned."; with --output it reports where the rows went.
+ */
+export async function formatRows(rows, opts, columns = null) {
+  if ((!rows || rows.length === 0) && !opts.output) { console.log("No rows returned."); return; }
+  const writer = createRowWriter(opts, { columns });
+  await writer.write(rows || []);
+  const count = await writer.end();
+  if (opts.output) console.log(`✅ Wrote ${count} row(s) to ${opts.output}`);
+}
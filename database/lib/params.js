@@ -0,0 +1,57 @@
+/**
+ * Bind parameters for `query` in postgres.js, mysql.js and sqlite.js
+ *
+ * --param is repeatable and binds in order ($1, $2, … or ?, ?, …).
+ * A value may carry a type prefix; without one it is bound as a string:
+ *   --param 42             "42"
+ *   --param int:42         42
+ *   --param num:4.2        4.2
+ *   --param bool:true      true
+ *   --param json:'{"a":1}' { a: 1 }
+ *   --param str:null       "null"
+ *   --param null           NULL
+ *
+ * --params-json '[42, "x", null]' binds a JSON array as-is and may not be
+ * combined with --param.
+ */
+
+const TYPED = {
+  int(raw) {
+    if (!/^[-+]?\d+$/.test(raw)) throw new Error(`Invalid int param: ${raw}`);
+    const n = Number(raw);
+    return Number.isSafeInteger(n) ? n : BigInt(raw);
+  },
+  num(raw) {
+    const n = Number(raw);
+    if (raw.trim() === "" || Number.isNaN(n)) throw new Error(`Invalid num param: ${raw}`);
+    return n;
+  },
+  bool(raw) {
+    if (/^(true|1|yes)$/i.test(raw)) return true;
+    if (/^(false|0|no)$/i.test(raw)) return false;
+    throw new Error(`Invalid bool param: ${raw}`);
+  },
+  json(raw) {
+    try { return JSON.parse(raw); } catch { throw new Error(`Invalid json param: ${raw}`); }
+  },
+  str(raw) { return raw; },
+};
+
+export function parseParam(raw) {
+  if (raw === true) throw new Error("--param needs a value");
+  if (raw === "null") return null;
+  const match = /^(int|num|bool|json|str):/.exec(raw);
+  if (!match) return raw;
+  return TYPED[match[1]](raw.slice(match[0].length));
+}
+
+export function parseParams(opts) {
+  if (opts["params-json"] !== undefined) {
+    if (opts.param) throw new Error("Use either --param or --params-json, not both");
+    let params;
+    try { params = JSON.parse(opts["params-json"]); } catch { throw new Error("--params-json must be a JSON array"); }
+    if (!Array.isArray(params)) throw new Error("--params-json must be a JSON array");
+    return params;
+  }
+  return (opts.param || []).map(parseParam);
+}
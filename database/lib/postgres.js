@@ -0,0 +1,127 @@
+/**
+ * PostgreSQL for postgres.js and the shared lib/ modules
+ *
+ * getConnectionConfig turns the connection flags into pg options,
+ * makeAdapter gives a client the hooks lib/ modules call, and
+ * openAdapter opens a connection of its own for lib/copy.js.
+ */
+
+import pg from "pg";
+import Cursor from "pg-cursor";
+import { quoteTable, splitTable } from "./ident.js";
+import { resolveTarget, tunnelTarget } from "./connection.js";
+
+// pg options for opts (see lib/connection.js), through an SSH tunnel if asked.
+export async function getConnectionConfig(opts) {
+  const target = resolveTarget(opts, "postgres", {
+    url: process.env.DATABASE_URL || process.env.PG_CONNECTION_STRING,
+    fields: {
+      host: process.env.PGHOST || "localhost",
+      port: process.env.PGPORT || "5432",
+      database: process.env.PGDATABASE || "postgres",
+      user: process.env.PGUSER || "postgres",
+      password: process.env.PGPASSWORD || "",
+    },
+  });
+  const { url, ...config } = await tunnelTarget(target, 5432);
+  return url ? { connectionString: url, ...config } : config;
+}
+
+// Engine hooks for the shared lib/ modules.
+export function makeAdapter(client) {
+  return {
+    dialect: "postgres",
+    async query(sql, params = []) { return (await client.query(sql, params)).rows; },
+    async execute(sql) { return (await client.query(sql)).rowCount; },
+    async tableColumns(table) {
+      const [schema, tbl] = splitTable(table, "public");
+      const { rows } = await client.query(
+        "SELECT column_name FROM information_schema.columns WHERE table_schema = $1 AND table_name = $2 ORDER BY ordinal_position",
+        [schema, tbl]);
+      return rows.length ? rows.map((r) => r.column_name) : null;
+    },
+    async loadSchema() {
+      // Tables outside "public" are named schema.table.
+      const USER_SCHEMAS = "n.nspname NOT IN ('pg_catalog', 'information_schema') AND n.nspname NOT LIKE 'pg_toast%'";
+      const NAME = "CASE WHEN n.nspname = 'public' THEN c.relname ELSE n.nspname || '.' || c.relname END";
+      const attnames = (rel, keys) => `ARRAY(SELECT a.attname::text FROM unnest(${keys}) WITH ORDINALITY k(attnum, ord)
+        JOIN pg_attribute a ON a.attrelid = ${rel} AND a.attnum = k.attnum ORDER BY k.ord)`;
+      const ACTIONS = { a: "NO ACTION", r: "RESTRICT", c: "CASCADE", n: "SET NULL", d: "SET DEFAULT" };
+
+      const tables = {};
+      const { rows: cols } = await client.query(`
+        SELECT ${NAME} AS table, a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type,
+          NOT a.attnotnull AS nullable, pg_get_expr(d.adbin, d.adrelid) AS default,
+          a.attidentity <> '' OR a.attgenerated <> '' AS generated
+        FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+        JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+        LEFT JOIN pg_attrdef d ON d.adrelid = c.oid AND d.adnum = a.attnum
+        WHERE c.relkind IN ('r', 'p') AND NOT c.relispartition AND ${USER_SCHEMAS}
+        ORDER BY 1, a.attnum`);
+      for (const { table, generated, ...col } of cols) {
+        tables[table] ||= { name: table, columns: [], primaryKey: { name: null, columns: [] }, indexes: [], foreignKeys: [] };
+        tables[table].columns.push(generated ? { ...col, generated } : col);
+      }
+
+      // Index keys come back as column names or expressions, and the full
+      // definition lets the migration recreate partial and expression indexes.
+      const { rows: indexes } = await client.query(`
+        SELECT ${NAME} AS table, ic.relname AS name, i.indisunique AS unique, i.indisprimary AS primary,
+          ARRAY(SELECT pg_get_indexdef(i.indexrelid, k, true) FROM generate_series(1, i.indnkeyatts) k) AS columns,
+          pg_get_expr(i.indpred, i.indrelid) AS where, pg_get_indexdef(i.indexrelid) AS definition,
+          EXISTS (SELECT 1 FROM pg_constraint WHERE conindid = i.indexrelid AND contype IN ('u', 'x')) AS constraint
+        FROM pg_index i JOIN pg_class c ON c.oid = i.indrelid JOIN pg_class ic ON ic.oid = i.indexrelid
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE ${USER_SCHEMAS} ORDER BY 1, 2`);
+      for (const { table, primary, ...idx } of indexes) {
+        if (!tables[table]) continue;
+        if (primary) tables[table].primaryKey = { name: idx.name, columns: idx.columns };
+        else tables[table].indexes.push(idx);
+      }
+
+      const { rows: fks } = await client.query(`
+        SELECT ${NAME} AS table, con.conname AS name, ${attnames("con.conrelid", "con.conkey")} AS columns,
+          CASE WHEN rn.nspname = 'public' THEN rc.relname ELSE rn.nspname || '.' || rc.relname END AS ref_table,
+          ${attnames("con.confrelid", "con.confkey")} AS ref_columns,
+          con.confdeltype AS on_delete, con.confupdtype AS on_update
+        FROM pg_constraint con JOIN pg_class c ON c.oid = con.conrelid JOIN pg_namespace n ON n.oid = c.relnamespace
+        JOIN pg_class rc ON rc.oid = con.confrelid JOIN pg_namespace rn ON rn.oid = rc.relnamespace
+        WHERE con.contype = 'f' AND ${USER_SCHEMAS} ORDER BY 1, 2`);
+      for (const fk of fks) {
+        tables[fk.table]?.foreignKeys.push({
+          name: fk.name, columns: fk.columns, refTable: fk.ref_table, refColumns: fk.ref_columns,
+          onDelete: ACTIONS[fk.on_delete], onUpdate: ACTIONS[fk.on_update],
+        });
+      }
+      return { dialect: "postgres", tables };
+    },
+    async enumValues(type) {
+      const { rows } = await client.query("SELECT enumlabel FROM pg_enum WHERE enumtypid = to_regtype($1) ORDER BY enumsortorder", [type]);
+      return rows.map((r) => r.enumlabel);
+    },
+    async estimateRows(table) {
+      // Planner statistics; -1 until the table is first analyzed.
+      const { rows } = await client.query("SELECT reltuples::bigint AS n FROM pg_class WHERE oid = to_regclass($1)", [quoteTable(table, "postgres")]);
+      const n = rows.length ? Number(rows[0].n) : -1;
+      return n >= 0 ? n : null;
+    },
+    async *readBatches(table, size) {
+      const cursor = client.query(new Cursor(`SELECT * FROM ${quoteTable(table, "postgres")}`));
+      try {
+        for (let rows = await cursor.read(size); rows.length > 0; rows = await cursor.read(size)) yield rows;
+      } finally {
+        await cursor.close();
+      }
+    },
+  };
+}
+
+/**
+ * For lib/copy.js: an adapter on a connection of its own; close() ends it.
+ * target is { url } or { profile }, resolved like the command-line flags.
+ */
+export async function openAdapter(target) {
+  const client = new pg.Client(await getConnectionConfig(target));
+  await client.connect();
+  return { ...makeAdapter(client), close: () => client.end() };
+}
@@ -0,0 +1,227 @@
+/**
+ * Data profiling for the `profile` command (SQL tables and Mongo collections)
+ *
+ * Every column (or document field) of a sample is summarised: nulls, distinct
+ * values, inferred types (lib/import.js rules, so "42" in a text column counts
+ * as integer and a mix is flagged), min/max, mean and percentiles of numbers,
+ * string length percentiles and the most common values. Mongo fields also
+ * report how many documents have them and with which BSON types.
+ *
+ * Output: readable blocks per column; --format json gives the full profile,
+ * any other --format one flattened row per column through lib/output.js.
+ */
+
+import { quoteTable } from "./ident.js";
+import { typeOf } from "./import.js";
+import { formatRows } from "./output.js";
+
+const BSON_TYPES = { ObjectId: "objectId", Int32: "int", Double: "double", Long: "long", Decimal128: "decimal", Binary: "binData", Timestamp: "timestamp", BSONRegExp: "regex" };
+
+/** BSON type name of a driver value: objectId, int, double, date, bool, array, object, … */
+export function bsonType(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (v instanceof Date) return "date";
+  if (v._bsontype) return BSON_TYPES[v._bsontype] || v._bsontype;
+  if (typeof v === "boolean") return "bool";
+  return typeof v; // string, object
+}
+
+// Drivers hand back Dates, Buffers, bigints and BSON wrappers; reduce them to
+// what typeOf() and the statistics understand.
+function plain(v) {
+  if (v?._bsontype === "Int32" || v?._bsontype === "Double") return v.value;
+  if (v?._bsontype === "Long" || v?._bsontype === "Decimal128") return v.toString();
+  if (v?._bsontype === "ObjectId") return v.toHexString();
+  return v;
+}
+
+function inferType(raw, v) {
+  if (raw instanceof Date) return "timestamp";
+  if (Buffer.isBuffer(raw) || raw?._bsontype === "Binary") return "binary";
+  if (raw?._bsontype === "ObjectId") return "objectId";
+  if (typeof raw === "bigint") return "integer";
+  return typeOf(v);
+}
+
+function display(v, width = 40) {
+  let s;
+  if (v instanceof Date) s = v.toISOString();
+  else if (Buffer.isBuffer(v)) s = `<${v.length} bytes>`;
+  else if (typeof v === "object" && v !== null) s = JSON.stringify(v);
+  else s = String(v);
+  return s.length > width ? s.slice(0, width - 1) + "…" : s;
+}
+
+function percentile(sorted, p) {
+  const i = (sorted.length - 1) * p;
+  const lo = Math.floor(i);
+  return sorted[lo] + (sorted[Math.ceil(i)] - sorted[lo]) * (i - lo);
+}
+
+const round = (x) => Number(x.toFixed(4));
+const pct = (n, of) => (of ? `${Number(((n / of) * 100).toFixed(1))}%` : "0%");
+
+/** Summary of one column's values (null/undefined count as nulls). */
+export function profileValues(values, { top = 5 } = {}) {
+  const raws = values.filter((v) => v !== null && v !== undefined);
+  const present = raws.map(plain);
+  const counts = new Map();
+  const types = new Map();
+  const numbers = [];
+  const lengths = [];
+  for (const [i, v] of present.entries()) {
+    const key = typeof v === "object" ? display(v, Infinity) : `${typeof v}:${v}`;
+    const seen = counts.get(key);
+    if (seen) seen.count++;
+    else counts.set(key, { value: v, count: 1 });
+    const type = inferType(raws[i], v);
+    types.set(type, (types.get(type) || 0) + 1);
+    if (type === "integer" || type === "real") numbers.push(Number(v));
+    if (typeof raws[i] === "string") lengths.push(v.length);
+  }
+
+  const profile = {
+    count: values.length,
+    nulls: values.length - present.length,
+    distinct: counts.size,
+    types: [...types].sort((a, b) => b[1] - a[1]).map(([type, count]) => ({ type, count })),
+  };
+  // integer+real and date+timestamp are one family; anything else mixed is suspect.
+  profile.mixed = new Set(profile.types.map((t) => ({ integer: "real", date: "timestamp" })[t.type] || t.type)).size > 1;
+
+  const numeric = present.length > 0 && numbers.length === present.length;
+  if (numeric) {
+    const sorted = numbers.sort((a, b) => a - b);
+    Object.assign(profile, {
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      mean: round(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+      percentiles: Object.fromEntries([0.25, 0.5, 0.75, 0.95].map((p) => [`p${p * 100}`, round(percentile(sorted, p))])),
+    });
+  } else if (present.length && profile.types.every((t) => t.type === "date" || t.type === "timestamp")) {
+    const time = (v) => (v instanceof Date ? v.getTime() : Date.parse(String(v).replace(" ", "T")));
+    const sorted = [...present].sort((a, b) => time(a) - time(b));
+    Object.assign(profile, { min: display(sorted[0]), max: display(sorted[sorted.length - 1]) });
+  } else if (present.length && present.every((v) => typeof v === "string")) {
+    const sorted = [...present].sort();
+    Object.assign(profile, { min: display(sorted[0]), max: display(sorted[sorted.length - 1]) });
+  }
+  // pg hands bigint and numeric over as strings; their lengths say nothing.
+  if (lengths.length && !numeric) {
+    const sorted = lengths.sort((a, b) => a - b);
+    profile.lengths = { min: sorted[0], p50: round(percentile(sorted, 0.5)), p95: round(percentile(sorted, 0.95)), max: sorted[sorted.length - 1] };
+  }
+  // Most common values; ones seen only once aren't worth listing.
+  profile.top = [...counts.values()].filter((c) => c.count > 1).sort((a, b) => b.count - a.count).slice(0, top)
+    .map(({ value, count }) => ({ value: display(value), count }));
+  return profile;
+}
+
+/**
+ * Profile SQL rows. `columns` is [{ name, type }] with the declared types;
+ * returns one { name, declared, ...profileValues() } per column.
+ */
+export function profileRows(rows, columns, opts = {}) {
+  return columns.map((c) => ({ name: c.name, declared: c.type, ...profileValues(rows.map((r) => r[c.name]), opts) }));
+}
+
+// Field paths of a document: nested objects add "parent.child" paths,
+// arrays and BSON values are leaves.
+function walkFields(doc, prefix, out) {
+  for (const [key, v] of Object.entries(doc)) {
+    const path = prefix + key;
+    out.push([path, v]);
+    if (v && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date) && !v._bsontype && !Buffer.isBuffer(v)) walkFields(v, `${path}.`, out);
+  }
+  return out;
+}
+
+/** Profile Mongo documents: every field path, how many documents have it, its BSON types. */
+export function profileDocuments(docs, opts = {}) {
+  const fields = new Map();
+  for (const doc of docs) {
+    for (const [path, v] of walkFields(doc, "", [])) {
+      if (!fields.has(path)) fields.set(path, { values: [], bson: new Map() });
+      const f = fields.get(path);
+      f.values.push(v);
+      const type = bsonType(v);
+      f.bson.set(type, (f.bson.get(type) || 0) + 1);
+    }
+  }
+  return [...fields].map(([name, f]) => ({
+    name,
+    present: f.values.length,
+    bsonTypes: [...f.bson].sort((a, b) => b[1] - a[1]).map(([type, count]) => ({ type, count })),
+    ...profileValues(f.values, opts),
+  }));
+}
+
+function printBlock(c, total) {
+  const head = c.declared ? `${c.name} (${c.declared})` : c.name;
+  const presence = c.present !== undefined ? `in ${c.present.toLocaleString("en-US")}/${total.toLocaleString("en-US")} docs (${pct(c.present, total)}) · ${c.bsonTypes.map((t) => `${t.type} ${t.count}`).join(", ")}` : "";
+  console.log(`\n${head}${presence ? `  ${presence}` : ""}`);
+  const unique = c.distinct === c.count - c.nulls && c.distinct > 1 ? " (all unique)" : "";
+  console.log(`  nulls: ${c.nulls.toLocaleString("en-US")} (${pct(c.nulls, c.count)}) · distinct: ${c.distinct.toLocaleString("en-US")}${unique}`);
+  if (c.types.length) {
+    const present = c.count - c.nulls;
+    console.log(`  inferred: ${c.types.map((t) => `${t.type} ${pct(t.count, present)}`).join(", ")}${c.mixed ? "  ⚠ mixed types" : ""}`);
+  }
+  if (c.min !== undefined) {
+    const stats = [`min: ${c.min}`, `max: ${c.max}`];
+    if (c.mean !== undefined) stats.push(`mean: ${c.mean}`, ...Object.entries(c.percentiles).map(([k, v]) => `${k}: ${v}`));
+    console.log(`  ${stats.join(" · ")}`);
+  }
+  if (c.lengths) console.log(`  length: min ${c.lengths.min} · p50 ${c.lengths.p50} · p95 ${c.lengths.p95} · max ${c.lengths.max}`);
+  if (c.top.length) console.log(`  top: ${c.top.map((t) => `${/^[[{]/.test(t.value) ? t.value : JSON.stringify(t.value)} ×${t.count}`).join(", ")}`);
+}
+
+/**
+ * The profile command's output. `source` is { name, unit, total, sampled,
+ * sample } — unit "rows" or "documents", sample "first" or "random".
+ */
+export async function printProfile(source, columns, opts) {
+  if (opts.format === "json") {
+    console.log(JSON.stringify({ ...source, columns }, null, 2));
+    return;
+  }
+  if (opts.format || opts.output) {
+    await formatRows(columns.map((c) => ({
+      column: c.name,
+      type: c.declared ?? c.bsonTypes.map((t) => t.type).join("|"),
+      ...(c.present !== undefined ? { present: c.present } : {}),
+      nulls: c.nulls,
+      distinct: c.distinct,
+      inferred: c.types.map((t) => t.type).join("|"),
+      mixed: c.mixed,
+      min: c.min ?? null,
+      max: c.max ?? null,
+      mean: c.mean ?? null,
+      p50: c.percentiles?.p50 ?? null,
+      p95: c.percentiles?.p95 ?? null,
+      max_length: c.lengths?.max ?? null,
+      top: c.top.map((t) => t.value).join(", "),
+    })), opts);
+    return;
+  }
+  const scope = source.sampled < source.total ? `profiled ${source.sample === "random" ? "a random" : "the first"} ${source.sampled.toLocaleString("en-US")}` : "all profiled";
+  console.log(`${source.name}: ${source.total.toLocaleString("en-US")} ${source.unit} (${scope})`);
+  for (const c of columns) printBlock(c, source.sampled);
+}
+
+/**
+ * profile <table> for the SQL scripts: the first --sample rows (default
+ * 10000) with the declared column types from adapter.loadSchema().
+ */
+export async function profileTable(adapter, table, opts) {
+  if (!table) throw new Error("Missing table name");
+  const schema = await adapter.loadSchema();
+  const def = schema.tables[adapter.dialect === "postgres" ? table.replace(/^public\./, "") : table];
+  if (!def) throw new Error(`Table not found: ${table}`);
+  const sample = parseInt(opts.sample) || 10000;
+  const quoted = quoteTable(table, adapter.dialect);
+  const [{ n }] = await adapter.query(`SELECT COUNT(*) AS n FROM ${quoted}`);
+  const rows = await adapter.query(`SELECT * FROM ${quoted} LIMIT ${sample}`);
+  const columns = profileRows(rows, def.columns, { top: parseInt(opts.top) || 5 });
+  await printProfile({ name: table, unit: "rows", total: Number(n), sampled: rows.length, sample: "first" }, columns, opts);
+}
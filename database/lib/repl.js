@@ -0,0 +1,208 @@
+/**
+ * Interactive shell shared by the database CLIs (the `repl` command)
+ *
+ * One connection stays open for the session: each script points its
+ * withClient/withConnection/withDb at the REPL's connection while it runs.
+ * Input is buffered until the engine calls it complete — a top-level `;` for
+ * SQL, closed quotes and brackets otherwise — so statements can span lines.
+ *
+ * Built-in meta-commands: \format [fmt], \timing, \refresh, \?, \q (or exit,
+ * quit, Ctrl-D). Engines add their own (\dt, \d <table>, …).
+ * History is kept in ~/.database_<engine>_history (override: DB_REPL_HISTORY)
+ * when stdin is a terminal; completion words come from the engine's catalog.
+ */
+
+import readline from "readline";
+import { appendFileSync, existsSync, readFileSync, writeFileSync } from "fs";
+import { homedir } from "os";
+import { join } from "path";
+import { tokenize } from "./sql.js";
+import { resolveFormat } from "./output.js";
+
+const HISTORY_SIZE = 1000;
+
+const SQL_KEYWORDS = [
+  "SELECT", "FROM", "WHERE", "JOIN", "LEFT", "INNER", "ON", "GROUP BY", "ORDER BY", "HAVING", "LIMIT", "OFFSET",
+  "INSERT INTO", "VALUES", "UPDATE", "SET", "DELETE FROM", "CREATE TABLE", "ALTER TABLE", "DROP TABLE",
+  "CREATE INDEX", "BEGIN", "COMMIT", "ROLLBACK", "EXPLAIN", "DISTINCT", "COUNT", "AND", "OR", "NOT", "NULL",
+  "IS", "IN", "LIKE", "BETWEEN", "AS", "WITH", "UNION", "RETURNING",
+];
+
+/** True when the last significant token is a top-level `;`. */
+export function sqlComplete(text, dialect) {
+  let last = null;
+  for (const token of tokenize(text, dialect)) if (token.type !== "space") last = token;
+  return last !== null && last.type === "punct" && last.value === ";";
+}
+
+/** True when every quote and bracket opened in `text` is closed. */
+export function bracketsComplete(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === "\\") i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") quote = c;
+    else if (c === "{" || c === "[" || c === "(") depth++;
+    else if (c === "}" || c === "]" || c === ")") depth--;
+  }
+  return quote === null && depth <= 0;
+}
+
+/**
+ * Split a command line into words like a shell: quotes group and are removed,
+ * and a word starting with { or [ runs to its matching bracket verbatim so
+ * JSON can be typed without quoting.
+ */
+export function splitWords(line) {
+  const words = [];
+  let i = 0;
+  while (i < line.length) {
+    if (/\s/.test(line[i])) { i++; continue; }
+    if (line[i] === "{" || line[i] === "[") {
+      let depth = 0;
+      let quote = null;
+      let j = i;
+      for (; j < line.length; j++) {
+        const c = line[j];
+        if (quote) { if (c === "\\") j++; else if (c === quote) quote = null; }
+        else if (c === '"') quote = c;
+        else if (c === "{" || c === "[") depth++;
+        else if ((c === "}" || c === "]") && --depth === 0) break;
+      }
+      words.push(line.slice(i, j + 1));
+      i = j + 1;
+      continue;
+    }
+    let word = "";
+    while (i < line.length && !/\s/.test(line[i])) {
+      const c = line[i];
+      if (c === "'" || c === '"') {
+        const end = line.indexOf(c, i + 1);
+        if (end === -1) throw new Error(`Unterminated ${c} quote`);
+        word += line.slice(i + 1, end);
+        i = end + 1;
+      } else { word += c; i++; }
+    }
+    words.push(word);
+  }
+  return words;
+}
+
+/** Completion words for a SQL schema model (lib/schema.js). */
+export function schemaWords(schema) {
+  const words = new Set(SQL_KEYWORDS);
+  for (const t of Object.values(schema.tables)) {
+    words.add(t.name);
+    for (const c of t.columns) words.add(c.name);
+  }
+  return [...words];
+}
+
+function historyFile(engine) {
+  return process.env.DB_REPL_HISTORY || join(homedir(), `.database_${engine}_history`);
+}
+
+function loadHistory(file) {
+  if (!existsSync(file)) return [];
+  const lines = readFileSync(file, "utf8").split("\n").filter(Boolean);
+  if (lines.length > HISTORY_SIZE * 2) writeFileSync(file, lines.slice(-HISTORY_SIZE).join("\n") + "\n");
+  return lines.slice(-HISTORY_SIZE).reverse();
+}
+
+/**
+ * Run the shell until \q or end of input.
+ *   engine      name used for the prompt and history file
+ *   opts        the command's options; \format edits opts.format in place
+ *   execute     async (text) => void, runs one complete input
+ *   isComplete  (text) => boolean
+ *   meta        { name: { help, run: async (arg) => void } } for \name arg
+ *   words       async () => completion candidates (cached; \refresh reloads)
+ */
+export async function startRepl({ engine, opts, execute, isComplete, meta = {}, words = async () => [] }) {
+  const terminal = Boolean(process.stdin.isTTY);
+  const file = historyFile(engine);
+  const prompt = `${engine}> `;
+  const more = `${" ".repeat(engine.length - 1)}-> `;
+  let timing = false;
+  let cache = null;
+
+  const builtins = {
+    format: { help: "Show or set the output format (\\format json)", run: async (arg) => {
+      if (arg) opts.format = resolveFormat(arg);
+      console.log(`Format: ${opts.format || "default"}`);
+    } },
+    timing: { help: "Toggle timing of each statement", run: async () => { timing = !timing; console.log(`Timing is ${timing ? "on" : "off"}.`); } },
+    refresh: { help: "Reload completion names from the catalog", run: async () => { cache = null; console.log("Completion names will reload."); } },
+    "?": { help: "This help", run: async () => {
+      for (const [name, m] of Object.entries({ ...meta, ...builtins })) console.log(`  \\${name.padEnd(8)} ${m.help}`);
+      console.log("  \\q        Quit");
+    } },
+  };
+  const commands = { ...meta, ...builtins };
+
+  const completer = (line, done) => {
+    cache ||= words().catch(() => []);
+    cache.then((list) => {
+      const current = /[^\s,()'"`;]*$/.exec(line)[0];
+      const pool = current.startsWith("\\") ? Object.keys(commands).map((c) => `\\${c}`) : list;
+      const hits = pool.filter((w) => w.toLowerCase().startsWith(current.toLowerCase()));
+      done(null, [[...new Set(hits)].sort(), current]);
+    });
+  };
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal,
+    completer,
+    prompt,
+    history: terminal ? loadHistory(file) : [],
+    historySize: HISTORY_SIZE,
+  });
+  let buffer = "";
+  // Piped input gets output only, no prompts.
+  const showPrompt = () => { if (terminal) { rl.setPrompt(buffer ? more : prompt); rl.prompt(); } };
+  rl.on("SIGINT", () => {
+    if (!buffer) { rl.close(); return; }
+    buffer = "";
+    process.stdout.write("\n");
+    showPrompt();
+  });
+
+  if (terminal) console.log(`Connected. \\? for help, \\q to quit.`);
+  showPrompt();
+  for await (const line of rl) {
+    const trimmed = line.trim();
+    if (!buffer && (trimmed === "\\q" || /^(exit|quit)$/i.test(trimmed))) break;
+
+    let text = null;
+    if (!buffer && trimmed.startsWith("\\")) {
+      text = trimmed;
+      const [, name, arg] = /^\\(\S+)\s*(.*)$/.exec(trimmed);
+      const command = commands[name];
+      try {
+        if (command) await command.run(arg.trim() || undefined);
+        else console.error(`Unknown meta-command \\${name} (\\? for help)`);
+      } catch (err) { console.error(`Error: ${err.message}`); }
+    } else {
+      buffer += (buffer ? "\n" : "") + line;
+      if (!buffer.trim()) buffer = "";
+      else if (isComplete(buffer)) {
+        text = buffer;
+        buffer = "";
+        const start = performance.now();
+        try { await execute(text); } catch (err) { console.error(`Error: ${err.message}`); }
+        if (timing) console.log(`Time: ${(performance.now() - start).toFixed(3)} ms`);
+        // New or dropped tables change what can be completed.
+        if (/^\s*(create|alter|drop)\b/i.test(text)) cache = null;
+      }
+    }
+    if (text && terminal) appendFileSync(file, text.replace(/\s*\n\s*/g, " ") + "\n");
+    showPrompt();
+  }
+  rl.close();
+  if (terminal) process.stdout.write("\n");
+}
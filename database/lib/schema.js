@@ -0,0 +1,329 @@
+/**
+ * Schema model, diff and migration SQL for postgres.js, mysql.js and sqlite.js
+ *
+ * Each script's adapter.loadSchema() returns the same shape:
+ *   { dialect, tables: { [name]: {
+ *       name, columns: [{ name, type, nullable, default }],
+ *       primaryKey: { name, columns }, indexes: [{ name, columns, unique, where?, definition? }],
+ *       foreignKeys: [{ name, columns, refTable, refColumns, onDelete, onUpdate }] } } }
+ * `default` is SQL expression text as the engine reports it (null for none);
+ * `generated: true` marks identity and generated columns the engine fills in.
+ * PostgreSQL indexes also carry their CREATE INDEX `definition` and whether a
+ * UNIQUE `constraint` owns them.
+ *
+ * diffSchemas(a, b) lists what B lacks or has extra relative to A; the
+ * migration SQL brings B in line with A. Statements that lose data (dropped
+ * tables and columns) are commented out unless `drop` is set.
+ *
+ * kindOf(type) sorts declared column types into the broad kinds seed and
+ * copy work with.
+ */
+
+import { writeFileSync } from "fs";
+import { quoteIdent, quoteTable } from "./ident.js";
+
+// ── Types ──
+
+/** Broad kind of a declared column type (integer, decimal, text, json, …); null when unknown. */
+export function kindOf(type) {
+  const t = type.toLowerCase();
+  if (t.endsWith("[]")) return "array";
+  if (/^(bool|tinyint\(1\))/.test(t)) return "boolean";
+  if (/^(enum|set)\(/.test(t)) return "choice";
+  if (/^(tiny|small|medium|big)?int(eger|\d)?\b|serial|^year/.test(t)) return "integer";
+  if (/^(numeric|decimal|dec\b|money)/.test(t)) return "decimal";
+  if (/real|double|float/.test(t)) return "float";
+  if (/^(timestamp|datetime)/.test(t)) return "timestamp";
+  if (/^date/.test(t)) return "date";
+  if (/^time/.test(t)) return "time";
+  if (/uuid/.test(t)) return "uuid";
+  if (/json/.test(t)) return "json";
+  if (/bytea|blob|binary/.test(t)) return "binary";
+  if (/^(inet|cidr)/.test(t)) return "ip";
+  if (/char|text|clob|string|^any$/.test(t)) return "text";
+  return null;
+}
+
+// ── Diff ──
+
+function columnDef(c) {
+  return `${c.type}${c.nullable ? "" : " NOT NULL"}${c.default !== null && c.default !== undefined ? ` DEFAULT ${c.default}` : ""}`;
+}
+
+function indexSig(idx) {
+  return `${idx.unique ? "UNIQUE " : ""}(${idx.columns.join(", ")})${idx.where ? ` WHERE ${idx.where}` : ""}`;
+}
+
+function fkSig(fk) {
+  const actions = [
+    fk.onDelete && fk.onDelete !== "NO ACTION" ? ` ON DELETE ${fk.onDelete}` : "",
+    fk.onUpdate && fk.onUpdate !== "NO ACTION" ? ` ON UPDATE ${fk.onUpdate}` : "",
+  ].join("");
+  return `(${fk.columns.join(", ")}) → ${fk.refTable}(${fk.refColumns.join(", ")})${actions}`;
+}
+
+function pkSig(table) {
+  return table.primaryKey?.columns.length ? `(${table.primaryKey.columns.join(", ")})` : "none";
+}
+
+/**
+ * Returns [{ table, op, kind, name, a, b }] where op is "+" (in A, missing
+ * from B), "-" (only in B) or "~" (differs), and kind is table, column,
+ * primary key, index or foreign key.
+ */
+export function diffSchemas(a, b) {
+  const changes = [];
+  const names = [...new Set([...Object.keys(a.tables), ...Object.keys(b.tables)])].sort();
+
+  for (const name of names) {
+    const ta = a.tables[name];
+    const tb = b.tables[name];
+    if (!tb) { changes.push({ table: name, op: "+", kind: "table", name }); continue; }
+    if (!ta) { changes.push({ table: name, op: "-", kind: "table", name }); continue; }
+
+    const colsB = new Map(tb.columns.map((c) => [c.name, c]));
+    const colsA = new Map(ta.columns.map((c) => [c.name, c]));
+    for (const ca of ta.columns) {
+      const cb = colsB.get(ca.name);
+      if (!cb) { changes.push({ table: name, op: "+", kind: "column", name: ca.name, a: ca }); continue; }
+      const fields = [];
+      if (ca.type !== cb.type) fields.push("type");
+      if (ca.nullable !== cb.nullable) fields.push("nullable");
+      if ((ca.default ?? null) !== (cb.default ?? null)) fields.push("default");
+      if (fields.length) changes.push({ table: name, op: "~", kind: "column", name: ca.name, a: ca, b: cb, fields });
+    }
+    for (const cb of tb.columns) {
+      if (!colsA.has(cb.name)) changes.push({ table: name, op: "-", kind: "column", name: cb.name, b: cb });
+    }
+
+    if (pkSig(ta) !== pkSig(tb)) changes.push({ table: name, op: "~", kind: "primary key", name: "primary key", a: ta.primaryKey, b: tb.primaryKey });
+
+    for (const [kind, list, sig] of [["index", "indexes", indexSig], ["foreign key", "foreignKeys", fkSig]]) {
+      const sigsA = new Set(ta[list].map(sig));
+      const sigsB = new Set(tb[list].map(sig));
+      // Drops first, so a replacement can reuse the name.
+      for (const item of tb[list]) if (!sigsA.has(sig(item))) changes.push({ table: name, op: "-", kind, name: item.name, b: item });
+      for (const item of ta[list]) if (!sigsB.has(sig(item))) changes.push({ table: name, op: "+", kind, name: item.name, a: item });
+    }
+  }
+  return changes;
+}
+
+// ── Report ──
+
+function describe(change) {
+  const { op, kind, name, a, b } = change;
+  switch (kind) {
+    case "table": return `${op} table ${name}`;
+    case "column":
+      if (op === "+") return `+ column ${name} ${columnDef(a)}`;
+      if (op === "-") return `- column ${name} ${columnDef(b)}`;
+      return change.fields.map((f) => {
+        const show = (c) => (f === "type" ? c.type : f === "nullable" ? (c.nullable ? "NULL" : "NOT NULL") : c.default ?? "no default");
+        return `~ column ${name} ${f}: ${show(a)} (B: ${show(b)})`;
+      }).join("\n  ");
+    case "primary key": return `~ primary key ${pkSig({ primaryKey: a })} (B: ${pkSig({ primaryKey: b })})`;
+    case "index": return `${op} index ${name} ${indexSig(a || b)}`;
+    default: return `${op} foreign key ${name} ${fkSig(a || b)}`;
+  }
+}
+
+export function renderReport(changes, a) {
+  if (changes.length === 0) return `✅ Schemas match (${Object.keys(a.tables).length} tables).`;
+  const lines = ["Legend: + in A, missing from B · - only in B · ~ differs (B's value in parentheses)", ""];
+  let current = null;
+  for (const change of changes) {
+    if (change.kind === "table") { lines.push(describe(change)); current = null; continue; }
+    if (change.table !== current) { lines.push(`${change.table}`); current = change.table; }
+    lines.push(`  ${describe(change)}`);
+  }
+  const count = (op) => changes.filter((c) => c.op === op).length;
+  lines.push("", `${changes.length} difference(s): ${count("+")} missing from B, ${count("-")} only in B, ${count("~")} changed.`);
+  return lines.join("\n");
+}
+
+// ── Migration SQL ──
+
+const SERIAL = { integer: "serial", bigint: "bigserial", smallint: "smallserial" };
+
+function columnSql(c, dialect) {
+  const q = quoteIdent(c.name, dialect);
+  // A nextval() default needs its sequence; let serial create one instead.
+  const seq = dialect === "postgres" && /^nextval\(/.test(c.default || "") && SERIAL[c.type];
+  if (seq) return `${q} ${seq}${c.nullable ? "" : " NOT NULL"}`;
+  return `${q} ${columnDef(c)}`;
+}
+
+function fkClause(fk, dialect) {
+  const cols = (list) => list.map((c) => quoteIdent(c, dialect)).join(", ");
+  let sql = `FOREIGN KEY (${cols(fk.columns)}) REFERENCES ${quoteTable(fk.refTable, dialect)} (${cols(fk.refColumns)})`;
+  if (fk.onDelete && fk.onDelete !== "NO ACTION") sql += ` ON DELETE ${fk.onDelete}`;
+  if (fk.onUpdate && fk.onUpdate !== "NO ACTION") sql += ` ON UPDATE ${fk.onUpdate}`;
+  return sql;
+}
+
+/** CREATE TABLE for a table of the model; SQLite gets its foreign keys inline. */
+export function tableDdl(table, dialect, name = table.name) {
+  const defs = table.columns.map((c) => `  ${columnSql(c, dialect)}`);
+  if (table.primaryKey?.columns.length) defs.push(`  PRIMARY KEY (${table.primaryKey.columns.map((c) => quoteIdent(c, dialect)).join(", ")})`);
+  if (dialect === "sqlite") for (const fk of table.foreignKeys) defs.push(`  ${fkClause(fk, dialect)}`);
+  return `CREATE TABLE ${quoteTable(name, dialect)} (\n${defs.join(",\n")}\n);`;
+}
+
+function indexName(table, idx) {
+  // SQLite's automatic indexes can't be created by name.
+  if (!idx.name || idx.name.startsWith("sqlite_autoindex_")) return `${table.replace(/\W/g, "_")}_${idx.columns.join("_")}_${idx.unique ? "key" : "idx"}`;
+  return idx.name;
+}
+
+export function createIndexSql(table, idx, dialect) {
+  if (idx.definition) return `${idx.definition};`;
+  const cols = idx.columns.map((c) => quoteIdent(c, dialect)).join(", ");
+  return `CREATE ${idx.unique ? "UNIQUE " : ""}INDEX ${quoteIdent(indexName(table, idx), dialect)} ON ${quoteTable(table, dialect)} (${cols});`;
+}
+
+function dropIndexSql(table, idx, dialect) {
+  if (idx.constraint) return `ALTER TABLE ${quoteTable(table, dialect)} DROP CONSTRAINT ${quoteIdent(idx.name, dialect)};`;
+  if (dialect === "mysql") return `DROP INDEX ${quoteIdent(idx.name, dialect)} ON ${quoteTable(table, dialect)};`;
+  // PostgreSQL indexes live in their table's schema.
+  const schema = dialect === "postgres" && table.includes(".") ? `${quoteIdent(table.split(".")[0], dialect)}.` : "";
+  return `DROP INDEX ${schema}${quoteIdent(idx.name, dialect)};`;
+}
+
+function commentOut(sql) {
+  return sql.split("\n").map((l) => `-- ${l}`).join("\n");
+}
+
+// SQLite can't alter columns or constraints in place: copy into a new table.
+function sqliteRebuild(table, b) {
+  const tmp = `_loop_new_${table.name}`;
+  const shared = table.columns.map((c) => c.name).filter((c) => b.columns.some((cb) => cb.name === c)).map((c) => quoteIdent(c, "sqlite")).join(", ");
+  return [
+    `-- Rebuild ${table.name}: SQLite can't alter columns or constraints in place (CHECK constraints and triggers are not carried over)`,
+    tableDdl(table, "sqlite", tmp),
+    `INSERT INTO ${quoteIdent(tmp, "sqlite")} (${shared}) SELECT ${shared} FROM ${quoteIdent(table.name, "sqlite")};`,
+    `DROP TABLE ${quoteIdent(table.name, "sqlite")};`,
+    `ALTER TABLE ${quoteIdent(tmp, "sqlite")} RENAME TO ${quoteIdent(table.name, "sqlite")};`,
+    ...table.indexes.map((idx) => createIndexSql(table.name, idx, "sqlite")),
+  ].join("\n");
+}
+
+function alterColumnSql(table, change, dialect) {
+  const t = quoteTable(table, dialect);
+  const q = quoteIdent(change.name, dialect);
+  const { a } = change;
+  if (dialect === "mysql") return [`ALTER TABLE ${t} MODIFY COLUMN ${q} ${columnDef(a)};`];
+  const out = [];
+  for (const f of change.fields) {
+    if (f === "type") out.push(`ALTER TABLE ${t} ALTER COLUMN ${q} TYPE ${a.type} USING ${q}::${a.type};`);
+    if (f === "nullable") out.push(`ALTER TABLE ${t} ALTER COLUMN ${q} ${a.nullable ? "DROP NOT NULL" : "SET NOT NULL"};`);
+    if (f === "default") out.push(a.default === null ? `ALTER TABLE ${t} ALTER COLUMN ${q} DROP DEFAULT;` : `ALTER TABLE ${t} ALTER COLUMN ${q} SET DEFAULT ${a.default};`);
+  }
+  return out;
+}
+
+function primaryKeySql(table, change, dialect) {
+  const t = quoteTable(table, dialect);
+  const out = [];
+  if (change.b?.columns.length) {
+    out.push(dialect === "mysql" ? `ALTER TABLE ${t} DROP PRIMARY KEY;` : `ALTER TABLE ${t} DROP CONSTRAINT ${quoteIdent(change.b.name, dialect)};`);
+  }
+  if (change.a?.columns.length) out.push(`ALTER TABLE ${t} ADD PRIMARY KEY (${change.a.columns.map((c) => quoteIdent(c, dialect)).join(", ")});`);
+  return out;
+}
+
+/** SQL that brings B in line with A. */
+export function migrationSql(changes, a, b, dialect, { drop = false } = {}) {
+  const statements = [];
+  const later = []; // foreign keys go last so every referenced table exists
+  const rebuilt = new Set();
+  let skipped = 0;
+  const destructive = (sql) => {
+    if (!drop) skipped++;
+    statements.push(drop ? sql : commentOut(sql));
+  };
+
+  // SQLite tables needing more than ADD COLUMN or index changes are rebuilt whole.
+  const rebuild = new Set(dialect === "sqlite"
+    ? changes.filter((c) => c.kind !== "table" && c.kind !== "index" && !(c.kind === "column" && c.op === "+")).map((c) => c.table)
+    : []);
+
+  for (const change of changes) {
+    const { table, op, kind } = change;
+    const t = quoteTable(table, dialect);
+
+    if (kind === "table") {
+      if (op === "+") {
+        const def = a.tables[table];
+        const schema = dialect === "postgres" && table.includes(".") && `CREATE SCHEMA IF NOT EXISTS ${quoteIdent(table.split(".")[0], dialect)};`;
+        if (schema && !statements.includes(schema)) statements.push(schema);
+        statements.push(tableDdl(def, dialect));
+        for (const idx of def.indexes) statements.push(createIndexSql(table, idx, dialect));
+        if (dialect !== "sqlite") for (const fk of def.foreignKeys) later.push(`ALTER TABLE ${t} ADD CONSTRAINT ${quoteIdent(fk.name, dialect)} ${fkClause(fk, dialect)};`);
+      } else {
+        destructive(`DROP TABLE ${t};`);
+      }
+      continue;
+    }
+
+    if (rebuild.has(table)) {
+      if (kind === "index" && op === "+") continue; // recreated by the rebuild
+      if (rebuilt.has(table)) continue;
+      rebuilt.add(table);
+      const sql = sqliteRebuild(a.tables[table], b.tables[table]);
+      const losesData = changes.some((c) => c.table === table && c.kind === "column" && c.op === "-");
+      if (losesData) destructive(sql);
+      else statements.push(sql);
+      continue;
+    }
+
+    if (kind === "column") {
+      if (op === "+") statements.push(`ALTER TABLE ${t} ADD COLUMN ${columnSql(change.a, dialect)};`);
+      else if (op === "-") destructive(`ALTER TABLE ${t} DROP COLUMN ${quoteIdent(change.name, dialect)};`);
+      else statements.push(...alterColumnSql(table, change, dialect));
+    } else if (kind === "primary key") {
+      statements.push(...primaryKeySql(table, change, dialect));
+    } else if (kind === "index") {
+      if (op === "+") statements.push(createIndexSql(table, change.a, dialect));
+      else if (change.b.name.startsWith("sqlite_autoindex_")) statements.push(`-- ${change.b.name} belongs to a UNIQUE constraint; rebuild ${table} to remove it`);
+      else statements.push(dropIndexSql(table, change.b, dialect));
+    } else if (op === "+") {
+      later.push(`ALTER TABLE ${t} ADD CONSTRAINT ${quoteIdent(change.a.name, dialect)} ${fkClause(change.a, dialect)};`);
+    } else {
+      statements.push(dialect === "mysql"
+        ? `ALTER TABLE ${t} DROP FOREIGN KEY ${quoteIdent(change.b.name, dialect)};`
+        : `ALTER TABLE ${t} DROP CONSTRAINT ${quoteIdent(change.b.name, dialect)};`);
+    }
+  }
+
+  const header = [`-- Migration: bring B in line with A (${dialect})`];
+  if (skipped) header.push(`-- ${skipped} destructive statement(s) commented out; rerun with --drop to include them.`);
+  const body = [...statements, ...later];
+  if (rebuilt.size) body.unshift("PRAGMA foreign_keys = OFF;");
+  if (rebuilt.size) body.push("PRAGMA foreign_keys = ON;");
+  return [...header, "", ...body].join("\n") + "\n";
+}
+
+// ── Command ──
+
+function redact(label) {
+  return String(label).replace(/\/\/([^:/@]+):[^@]*@/, "//$1:***@");
+}
+
+/**
+ * The diff command: print the report for A → B, then the migration SQL with
+ * --sql, or write it to --output <file>. --drop keeps destructive statements.
+ */
+export async function printDiff(a, b, opts, [labelA, labelB]) {
+  const changes = diffSchemas(a, b);
+  console.log(`A: ${redact(labelA)}\nB: ${redact(labelB)}\n`);
+  console.log(renderReport(changes, a));
+  if (changes.length === 0) return;
+  const sql = migrationSql(changes, a, b, a.dialect, { drop: opts.drop === true });
+  if (opts.output) {
+    writeFileSync(opts.output, sql);
+    console.log(`\n✅ Wrote migration SQL to ${opts.output}`);
+  } else if (opts.sql) {
+    console.log(`\n${sql}`);
+  }
+}
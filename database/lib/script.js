@@ -0,0 +1,121 @@
+/**
+ * SQL script runner for postgres.js, mysql.js and sqlite.js (the `run` command)
+ *
+ * The file is split with splitStatements() and executed statement by
+ * statement on one connection, inside a single transaction: the first error
+ * rolls everything back and names the script line it failed on. Each
+ * statement's time and affected/returned rows are printed as it completes.
+ *
+ *   --dry-run     run the whole script, then roll back
+ *   --autocommit  no wrapping transaction; each statement commits on its own
+ *
+ * Scripts with their own BEGIN/COMMIT run as written, without the wrapper.
+ * Engines provide adapter.execute(sql) → rows affected or returned.
+ * lib/migrate.js runs each migration through runStatements().
+ */
+
+import { readFileSync } from "fs";
+import { assertReadOnly, classifyStatement, isReadonly, keywords, splitStatements } from "./sql.js";
+
+const TRANSACTION_CONTROL = new Set(["BEGIN", "START", "COMMIT", "END", "ROLLBACK"]);
+
+// Row counts mean something for these; after DDL some drivers report stale ones.
+const ROW_STATEMENTS = new Set(["SELECT", "WITH", "VALUES", "TABLE", "SHOW", "INSERT", "UPDATE", "DELETE", "REPLACE", "MERGE"]);
+
+// MySQL commits before and after these, whatever transaction is open.
+const IMPLICIT_COMMIT = new Set(["CREATE", "ALTER", "DROP", "TRUNCATE", "RENAME"]);
+
+function snippet(sql) {
+  const s = sql.replace(/\s+/g, " ");
+  return s.length > 60 ? s.slice(0, 57) + "..." : s;
+}
+
+function controlsTransaction(sql, dialect) {
+  const [first, second] = keywords(sql, dialect);
+  return TRANSACTION_CONTROL.has(first) && second !== "TO"; // ROLLBACK TO <savepoint> is fine
+}
+
+// The script line an error points at: PostgreSQL reports a character
+// position in the statement, MySQL "... at line N" counted from its start.
+function errorLine(err, statement) {
+  if (err.position) return statement.line + (statement.sql.slice(0, Number(err.position) - 1).match(/\n/g) || []).length;
+  const m = /at line (\d+)$/.exec(err.message);
+  return m ? statement.line + Number(m[1]) - 1 : statement.line;
+}
+
+/**
+ * Run `text` as described above. `finish(adapter)` runs after the last
+ * statement, inside the transaction when there is one.
+ */
+export async function runStatements(adapter, text, opts, { source = "script", finish = async () => {} } = {}) {
+  const { dialect } = adapter;
+  if (isReadonly(opts)) assertReadOnly(text, dialect);
+  let statements = splitStatements(text, dialect);
+  if (!statements.length) throw new Error(`No statements in ${source}`);
+
+  const own = statements.find((s) => controlsTransaction(s.sql, dialect));
+  const wrap = !opts.autocommit && !own;
+  if (opts["dry-run"] && !wrap) {
+    throw new Error(`--dry-run needs a single transaction: ${own ? `the script has its own ${keywords(own.sql, dialect)[0]} on line ${own.line}` : "drop --autocommit"}`);
+  }
+  if (own && !opts.autocommit) console.error(`Note: the script manages its own transactions (line ${own.line}); running it as written.`);
+  if (wrap && dialect === "mysql") {
+    const ddl = statements.find((s) => IMPLICIT_COMMIT.has(classifyStatement(s.sql, dialect).keyword));
+    if (ddl) console.error(`⚠ MySQL commits ${classifyStatement(ddl.sql, dialect).keyword} implicitly (line ${ddl.line}); a failure after it can't undo what ran before.`);
+  }
+
+  // SQLite ignores PRAGMA foreign_keys inside a transaction, so the OFF/ON
+  // pair around a lib/schema.js table rebuild runs before BEGIN and after COMMIT.
+  let before = [];
+  let after = [];
+  if (wrap && dialect === "sqlite") {
+    const pragmas = statements.filter((s) => /^PRAGMA\s+foreign_keys\b/i.test(s.sql));
+    [before, after] = [pragmas.slice(0, 1), pragmas.slice(1)];
+    statements = statements.filter((s) => !pragmas.includes(s));
+  }
+
+  const width = String(statements.length).length;
+  const started = performance.now();
+  for (const s of before) await adapter.execute(s.sql);
+  if (wrap) await adapter.execute("BEGIN");
+  let done = 0;
+  for (const statement of statements) {
+    const start = performance.now();
+    let rows;
+    try {
+      rows = await adapter.execute(statement.sql);
+    } catch (err) {
+      if (wrap) await adapter.execute("ROLLBACK").catch(() => {});
+      for (const s of after) await adapter.execute(s.sql).catch(() => {});
+      const outcome = wrap ? "Rolled back; nothing was applied." : `${done} statement(s) before it stay applied.`;
+      throw new Error(`Line ${errorLine(err, statement)}: ${err.message}\n  in: ${snippet(statement.sql)}\n  ${outcome}`);
+    }
+    done++;
+    const { keyword } = classifyStatement(statement.sql, dialect);
+    const count = ROW_STATEMENTS.has(keyword) && rows !== null ? `${rows} row(s), ` : "";
+    console.log(`  [${String(done).padStart(width)}] line ${statement.line}: ${snippet(statement.sql)} — ${count}${(performance.now() - start).toFixed(1)} ms`);
+  }
+  if (!wrap) await finish(adapter);
+  if (wrap) {
+    try {
+      await finish(adapter);
+      if (before.length) {
+        const violations = await adapter.query("PRAGMA foreign_key_check");
+        if (violations.length) throw new Error(`${violations.length} foreign key violation(s), first in ${violations[0].table}`);
+      }
+      await adapter.execute(opts["dry-run"] ? "ROLLBACK" : "COMMIT");
+    } catch (err) {
+      await adapter.execute("ROLLBACK").catch(() => {});
+      throw new Error(`${err.message}\n  Rolled back; nothing was applied.`);
+    } finally {
+      for (const s of after) await adapter.execute(s.sql);
+    }
+  }
+  const outcome = !wrap ? "" : opts["dry-run"] ? " (dry run, rolled back)" : " (committed)";
+  console.log(`✅ Ran ${done} statement(s) in ${(performance.now() - started).toFixed(1)} ms${outcome}`);
+}
+
+export async function runScript(adapter, file, opts) {
+  if (!file) throw new Error("Missing script file");
+  await runStatements(adapter, readFileSync(file, "utf8"), opts, { source: file });
+}
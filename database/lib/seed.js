@@ -0,0 +1,342 @@
+/**
+ * Synthetic rows for the `seed` command of postgres.js, mysql.js and sqlite.js
+ *
+ * Columns, NOT NULL, unique keys and foreign keys come from
+ * adapter.loadSchema() (lib/schema.js). Values are made up from each
+ * column's type and name — `email` gets addresses at example.com,
+ * `created_at` a time in 2022–2024, `price` an amount, `status` a status —
+ * and respect the schema:
+ *
+ *   - nullable columns are NULL about one time in ten;
+ *   - primary keys and unique indexes get values the table doesn't have yet
+ *     (unique integer columns count up from the current maximum);
+ *   - foreign keys point at existing parent rows, so seed parents first;
+ *   - auto-increment, serial, identity and generated columns are left to the
+ *     engine, as are --skip columns.
+ *
+ * The same --seed against the same data gives the same rows. Everything is
+ * inserted in one transaction. Engines may provide adapter.enumValues(type)
+ * → labels for types the column name and type don't explain.
+ */
+
+import { randomInt } from "crypto";
+import { quoteIdent, quoteTable } from "./ident.js";
+import { insertSql, MAX_PARAMS } from "./import.js";
+import { formatRows } from "./output.js";
+import { kindOf } from "./schema.js";
+import { isReadonly } from "./sql.js";
+
+// ── Randomness ──
+
+// mulberry32: tiny, fast and plenty for fake data.
+function makeRandom(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (lo, hi) => lo + Math.floor(next() * (hi - lo + 1));
+  return { next, int, pick: (list) => list[int(0, list.length - 1)], chance: (p) => next() < p };
+}
+
+// --seed 42 or any text (hashed with FNV-1a); without one, a random seed.
+function parseSeed(value) {
+  if (value === undefined) return randomInt(2 ** 31);
+  if (value === true) throw new Error("--seed needs a value");
+  if (/^\d+$/.test(value)) return Number(BigInt(value) % 4294967296n);
+  let h = 2166136261;
+  for (const ch of String(value)) h = Math.imul(h ^ ch.codePointAt(0), 16777619);
+  return h >>> 0;
+}
+
+// ── Values ──
+
+const FIRST = ["James", "Mary", "Olivia", "Liam", "Noah", "Emma", "Ava", "Sophia", "Lucas", "Mia", "Ethan", "Amelia", "Mateo", "Harper", "Aiden", "Yuki", "Priya", "Omar", "Chen", "Fatima", "Diego", "Elena", "Kwame", "Ingrid"];
+const LAST = ["Smith", "Johnson", "Garcia", "Martinez", "Brown", "Lee", "Patel", "Nguyen", "Kim", "Okafor", "Rossi", "Silva", "Kowalski", "Tanaka", "Dubois", "Hansen", "Cohen", "Ali", "Walker", "Young", "Clark", "Novak"];
+const CITIES = ["Springfield", "Riverside", "Portland", "Austin", "Toronto", "Lyon", "Osaka", "Melbourne", "Dublin", "Porto", "Leipzig", "Nairobi", "Bergen", "Valencia"];
+const COUNTRIES = [["United States", "US"], ["Canada", "CA"], ["United Kingdom", "GB"], ["Germany", "DE"], ["France", "FR"], ["Japan", "JP"], ["Brazil", "BR"], ["India", "IN"], ["Australia", "AU"], ["Spain", "ES"], ["Kenya", "KE"], ["Norway", "NO"]];
+const STREETS = ["Main St", "Oak Ave", "Maple Dr", "Cedar Ln", "Park Rd", "Elm St", "Lakeview Blvd", "Hill St", "Station Rd", "Mill Ln"];
+const COMPANIES = ["Acme", "Globex", "Initech", "Umbrella", "Hooli", "Vandelay", "Soylent", "Wonka", "Stark", "Tyrell"];
+const COMPANY_SUFFIXES = ["Inc", "LLC", "Ltd", "Group", "Labs", "Co"];
+const DOMAINS = ["example.com", "example.org", "example.net"];
+const STATUSES = ["active", "active", "active", "pending", "inactive"];
+const COLORS = ["red", "green", "blue", "black", "white", "orange", "purple", "teal"];
+const CURRENCIES = ["USD", "EUR", "GBP", "JPY", "CAD", "AUD", "CHF"];
+const LOCALES = ["en", "en-US", "en-GB", "fr", "de", "es", "ja", "pt-BR"];
+const WORDS = ["lorem", "ipsum", "dolor", "sit", "amet", "consectetur", "adipiscing", "elit", "sed", "do", "eiusmod", "tempor", "incididunt", "ut", "labore", "et", "dolore", "magna", "aliqua", "enim", "minim", "veniam", "quis", "nostrud", "exercitation", "ullamco", "laboris", "nisi", "aliquip", "commodo", "consequat", "duis", "aute", "irure", "voluptate", "velit", "esse", "cillum", "fugiat", "nulla"];
+
+const pad = (n, width = 2) => String(n).padStart(width, "0");
+const capitalize = (s) => s[0].toUpperCase() + s.slice(1);
+const words = (r, lo, hi) => Array.from({ length: r.int(lo, hi) }, () => r.pick(WORDS)).join(" ");
+const hex = (r, n) => Array.from({ length: n }, () => r.int(0, 15).toString(16)).join("");
+const uuid = (r) => `${hex(r, 8)}-${hex(r, 4)}-4${hex(r, 3)}-${"89ab"[r.int(0, 3)]}${hex(r, 3)}-${hex(r, 12)}`;
+
+// Text by column name; the first match wins. `len` is the declared length, if any.
+const TEXT_RULES = [
+  [/e_?mail/, (r) => `${r.pick(FIRST)}.${r.pick(LAST)}${r.int(1, 999)}@${r.pick(DOMAINS)}`.toLowerCase()],
+  [/first_?name|given_?name|forename/, (r) => r.pick(FIRST)],
+  [/last_?name|surname|family_?name/, (r) => r.pick(LAST)],
+  [/user_?name|login|handle|nick/, (r) => `${r.pick(FIRST)}${r.pick(LAST)[0]}${r.int(1, 9999)}`.toLowerCase()],
+  [/company|organi[sz]ation|employer|vendor|supplier/, (r) => `${r.pick(COMPANIES)} ${r.pick(COMPANY_SUFFIXES)}`],
+  [/country/, (r, len) => r.pick(COUNTRIES)[len && len <= 3 ? 1 : 0]],
+  [/city|town/, (r) => r.pick(CITIES)],
+  [/address|street/, (r) => `${r.int(1, 9999)} ${r.pick(STREETS)}`],
+  [/zip|postal|postcode/, (r) => pad(r.int(1000, 99999), 5)],
+  [/phone|mobile|fax|^tel/, (r) => `+1-555-${pad(r.int(0, 999), 3)}-${pad(r.int(0, 9999), 4)}`],
+  [/url|website|homepage|link/, (r) => `https://${r.pick(DOMAINS)}/${words(r, 1, 3).replace(/ /g, "-")}`],
+  [/slug/, (r) => words(r, 2, 4).replace(/ /g, "-")],
+  [/status|state/, (r) => r.pick(STATUSES)],
+  [/colou?r/, (r) => r.pick(COLORS)],
+  [/currency/, (r) => r.pick(CURRENCIES)],
+  [/lang|locale/, (r) => r.pick(LOCALES)],
+  [/^ip$|ip_?addr/, (r) => `192.0.2.${r.int(1, 254)}`],
+  [/uuid|guid/, uuid],
+  [/password|hash|token|secret|digest/, (r) => hex(r, 64)],
+  [/sku|code/, (r) => `${Array.from({ length: 3 }, () => String.fromCharCode(r.int(65, 90))).join("")}-${pad(r.int(0, 99999), 5)}`],
+  [/title|subject|headline|label|caption/, (r) => words(r, 2, 5).split(" ").map(capitalize).join(" ")],
+  [/desc|bio|note|comment|content|body|text|summary|message|about/, (r) => `${capitalize(words(r, 6, 16))}.`],
+  [/name/, (r) => `${r.pick(FIRST)} ${r.pick(LAST)}`],
+];
+
+// Numbers by column name, before the type's range is applied.
+const NUMBER_RULES = [
+  [/(^|_)age$/, (r) => r.int(18, 90)],
+  [/price|amount|cost|total|balance|salary|fee|revenue/, (r) => r.int(100, 100000) / 100],
+  [/qty|quantity|stock|inventory|(^|_)count$|^num_/, (r) => r.int(0, 100)],
+  [/rating|stars/, (r) => r.int(1, 5)],
+  [/score|percent|pct/, (r) => r.int(0, 100)],
+  [/^lat(itude)?$/, (r) => r.int(-9000000, 9000000) / 100000],
+  [/^(lng|lon|long|longitude)$/, (r) => r.int(-18000000, 18000000) / 100000],
+  [/year/, (r) => r.int(1990, 2024)],
+];
+
+// Fixed so that --seed reproduces dates too.
+const SPAN = [Date.UTC(2022, 0, 1), Date.UTC(2025, 0, 1)];
+const BIRTHS = [Date.UTC(1950, 0, 1), Date.UTC(2006, 0, 1)];
+
+const INT_MAX = { tinyint: 127, smallint: 32767, mediumint: 8388607 };
+
+/**
+ * A value generator for one column: (random, k) → value. k > 0 asks for a
+ * variant that differs from earlier ones (used when a unique key collides).
+ */
+function columnGenerator(column, kind, labels) {
+  const name = column.name.toLowerCase();
+  const [, size, scale] = /\((\d+)(?:\s*,\s*(\d+))?\)/.exec(column.type) || [];
+  const byName = (rules) => rules.find(([re]) => re.test(name))?.[1];
+
+  switch (kind) {
+    case "boolean": return (r) => r.chance(0.5);
+    case "choice": return (r) => r.pick(labels);
+    case "integer": {
+      const t = column.type.toLowerCase();
+      const max = /^year/.test(t) ? 2155 : (INT_MAX[/^\w+/.exec(t)[0]] ?? 2147483647) * (/unsigned/.test(t) ? 2 : 1);
+      const rule = byName(NUMBER_RULES);
+      return (r) => Math.min(max, Math.round(rule ? rule(r) : r.int(1, 1000)));
+    }
+    case "decimal":
+    case "float": {
+      const digits = scale !== undefined ? Number(scale) : kind === "decimal" && size ? 0 : 2;
+      const max = size && kind === "decimal" ? 10 ** (Number(size) - digits) - 10 ** -digits : Infinity;
+      const rule = byName(NUMBER_RULES);
+      return (r) => Number(Math.min(max, rule ? rule(r) : r.int(0, 100000) / 100).toFixed(digits));
+    }
+    case "timestamp":
+    case "date": {
+      const [from, to] = /birth|dob/.test(name) ? BIRTHS : SPAN;
+      return (r) => {
+        const d = new Date(Math.floor((from + r.next() * (to - from)) / 1000) * 1000);
+        return kind === "date" ? d.toISOString().slice(0, 10) : d;
+      };
+    }
+    case "time": return (r) => `${pad(r.int(0, 23))}:${pad(r.int(0, 59))}:${pad(r.int(0, 59))}`;
+    case "uuid": return uuid;
+    case "json": return (r) => JSON.stringify({ tags: Array.from({ length: r.int(0, 3) }, () => r.pick(WORDS)), score: r.int(0, 100) });
+    case "binary": return (r) => Buffer.from(Array.from({ length: 16 }, () => r.int(0, 255)));
+    case "ip": return (r) => `192.0.2.${r.int(1, 254)}`;
+    case "array": {
+      const item = columnGenerator({ ...column, type: column.type.slice(0, -2) }, kindOf(column.type.slice(0, -2)) || "text", labels);
+      return (r) => Array.from({ length: r.int(0, 3) }, () => item(r, 0));
+    }
+    default: {
+      const rule = byName(TEXT_RULES) || ((r) => words(r, 1, 3));
+      const len = size ? Number(size) : null;
+      return (r, k = 0) => {
+        let s = rule(r, len);
+        if (k) {
+          // jane.doe@x → jane.doe7@x; anything else gets the number appended.
+          const at = s.indexOf("@");
+          const suffix = /\s/.test(s) && at < 0 ? ` ${k}` : String(k);
+          s = at > 0 ? `${s.slice(0, at)}${suffix}${s.slice(at)}` : s + suffix;
+          if (len && s.length > len) s = s.slice(0, Math.max(0, len - String(k).length)) + k;
+        }
+        return len ? s.slice(0, len) : s;
+      };
+    }
+  }
+}
+
+// Columns the engine fills in by itself.
+function isAuto(column, table, dialect) {
+  if (column.generated) return true;
+  if (/auto_increment|serial/i.test(column.type) || /^nextval\(/i.test(column.default ?? "")) return true;
+  // SQLite: an INTEGER PRIMARY KEY is the rowid.
+  const pk = table.primaryKey?.columns || [];
+  return dialect === "sqlite" && /^integer$/i.test(column.type) && pk.length === 1 && pk[0] === column.name;
+}
+
+// Comparable text for a key value, whether we made it or the driver read it.
+function keyPart(v) {
+  if (v instanceof Date) return v.toISOString();
+  if (Buffer.isBuffer(v)) return v.toString("hex");
+  if (typeof v === "number" || typeof v === "bigint" || (typeof v === "string" && /^-?\d+(\.\d+)?$/.test(v))) return String(Number(v));
+  return typeof v === "object" && v !== null ? JSON.stringify(v) : String(v);
+}
+const keyOf = (row, columns) => columns.map((c) => keyPart(row[c])).join("\0");
+// NULLs never collide in a unique key.
+const isTaken = (u, row) => !u.columns.some((c) => row[c] === null) && u.taken.has(keyOf(row, u.columns));
+
+// ── Seed ──
+
+async function plan(adapter, def, skip) {
+  const { dialect } = adapter;
+  const columns = [];
+  for (const c of def.columns) {
+    if (skip.includes(c.name) || isAuto(c, def, dialect)) continue;
+    let kind = kindOf(c.type);
+    let labels = (/^(?:enum|set)\((.*)\)$/i.exec(c.type)?.[1].match(/'(?:[^']|'')*'/g) || []).map((l) => l.slice(1, -1).replace(/''/g, "'"));
+    if (!kind) {
+      labels = (await adapter.enumValues?.(c.type)) || [];
+      kind = labels.length ? "choice" : "unknown";
+    }
+    columns.push({ ...c, kind, generate: kind === "unknown" ? null : columnGenerator(c, kind, labels) });
+  }
+  const names = columns.map((c) => c.name);
+  if (!names.length) throw new Error(`Nothing to generate for ${def.name}: the database fills in every column`);
+  const unknown = columns.find((c) => c.kind === "unknown" && !c.nullable);
+  if (unknown) throw new Error(`Can't make up values of type ${unknown.type} for ${def.name}.${unknown.name}; leave it to its default with --skip ${unknown.name}`);
+
+  // Keys the engine fills in (or that we skip) aren't ours to keep unique;
+  // PostgreSQL expression indexes name no plain columns and are skipped too.
+  const uniques = [def.primaryKey, ...def.indexes.filter((i) => i.unique)]
+    .filter((k) => k?.columns.length && k.columns.every((c) => names.includes(c)))
+    .map((k) => ({ columns: k.columns, taken: new Set() }));
+  return { columns, names, uniques };
+}
+
+async function referencePools(adapter, def, names) {
+  const { dialect } = adapter;
+  const q = (c) => quoteIdent(c, dialect);
+  const pools = [];
+  for (const fk of def.foreignKeys) {
+    if (!fk.columns.every((c) => names.includes(c))) continue;
+    const cols = fk.refColumns.map(q).join(", ");
+    const rows = await adapter.query(`SELECT DISTINCT ${cols} FROM ${quoteTable(fk.refTable, dialect)} WHERE ${fk.refColumns.map((c) => `${q(c)} IS NOT NULL`).join(" AND ")} ORDER BY ${cols} LIMIT 100000`);
+    const nullable = fk.columns.every((c) => def.columns.find((col) => col.name === c).nullable);
+    if (!rows.length && !nullable) {
+      throw new Error(`${def.name}.${fk.columns.join(", ")} must reference ${fk.refTable}, which has no rows; seed ${fk.refTable} first`);
+    }
+    pools.push({ fk, nullable, values: rows.map((row) => fk.refColumns.map((c) => row[c])) });
+  }
+  return pools;
+}
+
+/**
+ * seed <table> [--rows 100] [--seed N] [--skip a,b] [--dry-run], against an
+ * open connection. Dry runs print the first rows and write nothing.
+ */
+export async function seedTable(adapter, table, opts) {
+  if (!table) throw new Error("Missing table name");
+  if (isReadonly(opts) && !opts["dry-run"]) throw new Error(`Read-only mode: blocked seed ${table}`);
+  const { dialect } = adapter;
+  const count = opts.rows === undefined ? 100 : Number(opts.rows);
+  if (!Number.isInteger(count) || count <= 0) throw new Error("--rows must be a positive integer");
+  const seed = parseSeed(opts.seed);
+  const r = makeRandom(seed);
+
+  const schema = await adapter.loadSchema();
+  const def = schema.tables[dialect === "postgres" ? table.replace(/^public\./, "") : table];
+  if (!def) throw new Error(`Table not found: ${table}`);
+  const skip = opts.skip ? String(opts.skip).split(",").map((s) => s.trim()) : [];
+  const notColumn = skip.find((s) => !def.columns.some((c) => c.name === s));
+  if (notColumn) throw new Error(`--skip: ${table} has no column ${notColumn}`);
+
+  const { columns, names, uniques } = await plan(adapter, def, skip);
+  const pools = await referencePools(adapter, def, names);
+  const fkColumns = new Set(pools.flatMap((p) => p.fk.columns));
+  const quoted = quoteTable(table, dialect);
+  for (const u of uniques) {
+    const rows = await adapter.query(`SELECT ${u.columns.map((c) => quoteIdent(c, dialect)).join(", ")} FROM ${quoted}`);
+    for (const row of rows) u.taken.add(keyOf(row, u.columns));
+  }
+
+  // A unique integer column counts up from its current maximum.
+  const counters = new Map();
+  for (const u of uniques) {
+    const [c] = u.columns;
+    const col = columns.find((x) => x.name === c);
+    if (u.columns.length === 1 && col.kind === "integer" && !fkColumns.has(c)) {
+      counters.set(c, [...u.taken].reduce((max, k) => Math.max(max, Number(k)), 0));
+    }
+  }
+
+  const inUnique = new Set(uniques.flatMap((u) => u.columns));
+  const pickReference = (row, pool) => {
+    const values = !pool.values.length || (pool.nullable && r.chance(0.1)) ? pool.fk.columns.map(() => null) : r.pick(pool.values);
+    pool.fk.columns.forEach((c, i) => { row[c] = values[i]; });
+  };
+  const fill = (row, c, k = 0) => {
+    if (counters.has(c.name)) row[c.name] = counters.set(c.name, counters.get(c.name) + 1).get(c.name);
+    else if (!c.generate || (c.nullable && !inUnique.has(c.name) && r.chance(0.1))) row[c.name] = null;
+    else row[c.name] = c.generate(r, k);
+  };
+
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    const row = {};
+    for (const pool of pools) pickReference(row, pool);
+    for (const c of columns) if (!fkColumns.has(c.name)) fill(row, c);
+    for (const u of uniques) {
+      // Redraw the key's columns until it's new; after a few tries, text
+      // columns get a numbered variant.
+      for (let attempt = 1; isTaken(u, row); attempt++) {
+        if (attempt > 200) {
+          const parent = pools.find((p) => u.columns.every((c) => p.fk.columns.includes(c)));
+          throw new Error(parent
+            ? `${table} (${u.columns.join(", ")}) is unique and every ${parent.fk.refTable} row already has one; made ${i} of ${count} row(s)`
+            : `Ran out of unique values for ${table} (${u.columns.join(", ")}) after ${i} row(s)`);
+        }
+        for (const pool of pools) if (pool.fk.columns.some((c) => u.columns.includes(c))) pickReference(row, pool);
+        for (const c of columns) if (u.columns.includes(c.name) && !fkColumns.has(c.name)) fill(row, c, attempt > 10 ? attempt : 0);
+      }
+      u.taken.add(keyOf(row, u.columns));
+    }
+    rows.push(row);
+  }
+
+  if (opts["dry-run"]) {
+    console.log(`Dry run: ${count} row(s) for ${table} (seed ${seed}); the first ${Math.min(count, 10)}:\n`);
+    await formatRows(rows.slice(0, 10), opts, names);
+    console.log("\nNothing was written.");
+    return;
+  }
+
+  const perInsert = Math.max(1, Math.min(1000, Math.floor(MAX_PARAMS / names.length)));
+  await adapter.query("BEGIN", []);
+  try {
+    for (let i = 0; i < rows.length; i += perInsert) {
+      const chunk = rows.slice(i, i + perInsert);
+      await adapter.query(insertSql(dialect, table, names, chunk.length), chunk.flatMap((row) => names.map((c) => row[c])));
+      if (process.stderr.isTTY) process.stderr.write(`\r  ${(i + chunk.length).toLocaleString()} / ${count.toLocaleString()} rows`);
+    }
+    await adapter.query("COMMIT", []);
+  } catch (err) {
+    await adapter.query("ROLLBACK", []).catch(() => {});
+    throw new Error(`${err.message}\n  Rolled back; nothing was inserted. --skip <column> leaves a column to its default.`);
+  } finally {
+    if (process.stderr.isTTY) process.stderr.write("\n");
+  }
+  console.log(`✅ Inserted ${count} row(s) into ${table} (seed ${seed}).`);
+}
@@ -0,0 +1,232 @@
+/**
+ * SQL lexer, statement splitter and read-only classifier
+ *
+ * The lexer only knows enough SQL to find statement boundaries and keywords:
+ * it skips comments, string literals, quoted identifiers and (PostgreSQL)
+ * dollar-quoted bodies so a `;` or `DROP` inside one of them is never mistaken
+ * for the real thing. MySQL's executable comments (opened by `/*!`, `/*!50000`
+ * or MariaDB's `/*M!`) are code to the server, so their markers are punctuation
+ * and the body is lexed like any other SQL.
+ *
+ * Dialects: "postgres", "mysql", "sqlite".
+ */
+
+const WORD_START = /[A-Za-z_\u0080-\uffff]/;
+const WORD_CHAR = /[A-Za-z0-9_$\u0080-\uffff]/;
+
+/**
+ * Yield tokens of { type, value, start, end, line } where type is one of
+ * word, string, ident, comment, number, param, punct, space.
+ */
+export function* tokenize(sql, dialect) {
+  let i = 0;
+  let line = 1;
+  const n = sql.length;
+  let executable = false; // inside a MySQL executable comment
+
+  const take = (type, end) => {
+    const value = sql.slice(i, end);
+    const token = { type, value, start: i, end, line };
+    for (let k = i; k < end; k++) if (sql[k] === "\n") line++;
+    i = end;
+    return token;
+  };
+
+  // Closing index (exclusive) of a quoted run starting at i.
+  const quoted = (quote, backslash) => {
+    let j = i + 1;
+    while (j < n) {
+      if (backslash && sql[j] === "\\") { j += 2; continue; }
+      if (sql[j] === quote) {
+        if (sql[j + 1] === quote) { j += 2; continue; }
+        return j + 1;
+      }
+      j++;
+    }
+    return n;
+  };
+
+  while (i < n) {
+    const c = sql[i];
+    const next = sql[i + 1];
+
+    if (executable && c === "*" && next === "/") {
+      executable = false;
+      yield take("punct", i + 2);
+    } else if (/\s/.test(c)) {
+      let j = i + 1;
+      while (j < n && /\s/.test(sql[j])) j++;
+      yield take("space", j);
+    } else if ((c === "-" && next === "-") || (c === "#" && dialect === "mysql")) {
+      const j = sql.indexOf("\n", i);
+      yield take("comment", j === -1 ? n : j);
+    } else if (c === "/" && next === "*" && dialect === "mysql" && /^\/\*M?!/.test(sql.slice(i, i + 4))) {
+      executable = true;
+      yield take("punct", i + /^\/\*M?![0-9]*/.exec(sql.slice(i))[0].length);
+    } else if (c === "/" && next === "*") {
+      // PostgreSQL block comments nest; the others end at the first */.
+      let depth = 1;
+      let j = i + 2;
+      while (j < n && depth > 0) {
+        if (dialect === "postgres" && sql[j] === "/" && sql[j + 1] === "*") { depth++; j += 2; }
+        else if (sql[j] === "*" && sql[j + 1] === "/") { depth--; j += 2; }
+        else j++;
+      }
+      yield take("comment", j);
+    } else if (c === "'") {
+      const escapeString = /(^|[^A-Za-z0-9_])[Ee]$/.test(sql.slice(Math.max(0, i - 2), i));
+      const escapes = dialect === "mysql" || (dialect === "postgres" && escapeString);
+      yield take("string", quoted("'", escapes));
+    } else if (c === '"') {
+      yield take(dialect === "mysql" ? "string" : "ident", quoted('"', dialect === "mysql"));
+    } else if (c === "`" && dialect !== "postgres") {
+      yield take("ident", quoted("`", false));
+    } else if (c === "[" && dialect === "sqlite") {
+      const j = sql.indexOf("]", i);
+      yield take("ident", j === -1 ? n : j + 1);
+    } else if (c === "$" && dialect === "postgres" && /[A-Za-z_$]/.test(next || "")) {
+      const tag = /^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/.exec(sql.slice(i));
+      if (tag) {
+        const j = sql.indexOf(tag[0], i + tag[0].length);
+        yield take("string", j === -1 ? n : j + tag[0].length);
+      } else {
+        yield take("punct", i + 1);
+      }
+    } else if ((c === "$" || c === "?" || c === ":" || c === "@") && /[0-9A-Za-z_]/.test(next || "") && !(c === ":" && next === ":")) {
+      let j = i + 1;
+      while (j < n && /[0-9A-Za-z_]/.test(sql[j])) j++;
+      yield take("param", j);
+    } else if (/[0-9]/.test(c)) {
+      let j = i + 1;
+      while (j < n && /[0-9.eE_xXa-fA-F]/.test(sql[j])) j++;
+      yield take("number", j);
+    } else if (WORD_START.test(c)) {
+      let j = i + 1;
+      while (j < n && WORD_CHAR.test(sql[j])) j++;
+      yield take("word", j);
+    } else {
+      yield take("punct", i + 1);
+    }
+  }
+}
+
+/**
+ * Split a script into statements on top-level semicolons.
+ * Returns [{ sql, line }] with `line` the 1-based line the statement starts on;
+ * blank and comment-only statements are dropped.
+ *
+ * MySQL scripts may switch the terminator with the client's `DELIMITER //`
+ * directive (procedure and trigger bodies); SQLite trigger bodies keep the
+ * semicolons between their BEGIN and END.
+ */
+export function splitStatements(sql, dialect) {
+  const statements = [];
+  let delimiter = ";";
+  let first = null;
+  let end = 0;
+  let head = []; // leading keywords, to spot CREATE TRIGGER
+  let depth = 0; // open BEGIN/CASE blocks inside a SQLite trigger
+  let skipTo = 0; // past a DELIMITER line or a multi-character terminator
+  const flush = () => {
+    if (first) statements.push({ sql: sql.slice(first.start, end), line: first.line });
+    first = null;
+    head = [];
+    depth = 0;
+  };
+  for (const token of tokenize(sql, dialect)) {
+    if (token.start < skipTo || token.type === "space" || token.type === "comment") continue;
+
+    if (!first && dialect === "mysql" && token.type === "word" && token.value.toUpperCase() === "DELIMITER") {
+      const eol = sql.indexOf("\n", token.end);
+      skipTo = eol === -1 ? sql.length : eol;
+      delimiter = sql.slice(token.end, skipTo).trim().split(/\s+/)[0];
+      if (!delimiter) throw new Error(`Line ${token.line}: DELIMITER needs a terminator`);
+      continue;
+    }
+
+    // The terminator may be glued to a word, as in END$$.
+    let at = -1;
+    if (depth === 0 && token.type !== "string" && token.type !== "ident") {
+      if (sql.startsWith(delimiter, token.start)) at = token.start;
+      else if (token.type === "word" && token.value.indexOf(delimiter) > 0) at = token.start + token.value.indexOf(delimiter);
+    }
+    if (at !== -1) {
+      if (at > token.start) { first ||= token; end = at; }
+      flush();
+      skipTo = at + delimiter.length;
+      continue;
+    }
+
+    first ||= token;
+    end = token.end;
+    if (dialect === "sqlite" && token.type === "word") {
+      const word = token.value.toUpperCase();
+      if (head.length < 4) head.push(word);
+      if (head[0] === "CREATE" && head.includes("TRIGGER")) {
+        if (word === "BEGIN" || (word === "CASE" && depth > 0)) depth++;
+        else if (word === "END" && depth > 0) depth--;
+      }
+    }
+  }
+  flush();
+  return statements;
+}
+
+/** Upper-cased keywords of a single statement, comments and literals removed. */
+export function keywords(sql, dialect) {
+  const words = [];
+  for (const token of tokenize(sql, dialect)) {
+    if (token.type === "word") words.push(token.value.toUpperCase());
+    else if (token.type === "punct" && token.value === "=") words.push("=");
+  }
+  return words;
+}
+
+// Statements that only read. Everything else (DML, DDL, SET, BEGIN, CALL, …) is a write.
+const READ_STATEMENTS = new Set(["SELECT", "WITH", "VALUES", "TABLE", "SHOW", "DESCRIBE", "DESC", "EXPLAIN", "PRAGMA"]);
+
+// Keywords that turn an otherwise read-only statement into a write:
+// data-modifying CTEs, SELECT … INTO, FOR UPDATE locks and the like.
+const WRITE_KEYWORDS = new Set(["INSERT", "UPDATE", "DELETE", "MERGE", "UPSERT", "TRUNCATE", "DROP", "ALTER", "CREATE", "GRANT", "REVOKE", "INTO", "COPY", "LOCK"]);
+
+// SQLite pragmas that change the database even without an assignment.
+const WRITE_PRAGMAS = new Set(["OPTIMIZE", "WAL_CHECKPOINT", "INCREMENTAL_VACUUM", "SHRINK_MEMORY"]);
+
+/**
+ * Classify one statement. Returns { keyword, readonly, reason } where keyword
+ * is the leading keyword (e.g. "DROP") and reason explains a write verdict.
+ */
+export function classifyStatement(sql, dialect) {
+  const words = keywords(sql, dialect);
+  const keyword = words[0] || "";
+  if (!READ_STATEMENTS.has(keyword)) return { keyword, readonly: false, reason: `${keyword || "unknown"} statement` };
+
+  if (keyword === "PRAGMA") {
+    if (words.includes("=")) return { keyword, readonly: false, reason: "PRAGMA assignment" };
+    if (WRITE_PRAGMAS.has(words[1])) return { keyword, readonly: false, reason: `PRAGMA ${words[1].toLowerCase()}` };
+    return { keyword, readonly: true };
+  }
+
+  // Plain EXPLAIN only plans; EXPLAIN ANALYZE executes the statement.
+  if (keyword === "EXPLAIN" && !words.includes("ANALYZE") && !words.includes("ANALYSE")) return { keyword, readonly: true };
+
+  const write = words.find((w) => WRITE_KEYWORDS.has(w));
+  if (write) return { keyword, readonly: false, reason: `${write} inside ${keyword}` };
+  return { keyword, readonly: true };
+}
+
+/** True when --readonly was passed or DB_READONLY=1 is set. */
+export function isReadonly(opts) {
+  return opts.readonly === true || /^(1|true|yes)$/i.test(process.env.DB_READONLY || "");
+}
+
+/** Throw if any statement in `sql` could write. */
+export function assertReadOnly(sql, dialect) {
+  for (const statement of splitStatements(sql, dialect)) {
+    const { readonly, reason } = classifyStatement(statement.sql, dialect);
+    if (!readonly) {
+      const snippet = statement.sql.replace(/\s+/g, " ");
+      throw new Error(`Read-only mode: blocked ${reason}: ${snippet.length > 80 ? snippet.slice(0, 77) + "..." : snippet}`);
+    }
+  }
+}
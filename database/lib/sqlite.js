@@ -0,0 +1,90 @@
+/**
+ * SQLite for sqlite.js and the shared lib/ modules
+ *
+ * makeAdapter gives a better-sqlite3 database the hooks lib/ modules call,
+ * and openAdapter opens a file of its own for lib/copy.js.
+ */
+
+import Database from "better-sqlite3";
+import { quoteIdent } from "./ident.js";
+
+// better-sqlite3 binds only numbers, strings, bigints, buffers and null.
+export function toBindValue(v) {
+  if (typeof v === "boolean") return v ? 1 : 0;
+  // JS numbers bind as REAL; integers should stay integers.
+  if (Number.isSafeInteger(v)) return BigInt(v);
+  if (v instanceof Date) return v.toISOString();
+  if (Buffer.isBuffer(v)) return v;
+  return v !== null && typeof v === "object" ? JSON.stringify(v) : v;
+}
+
+// Engine hooks for the shared lib/ modules.
+export function makeAdapter(db) {
+  return {
+    dialect: "sqlite",
+    async query(sql, params = []) {
+      const stmt = db.prepare(sql);
+      const values = params.map(toBindValue);
+      if (stmt.reader) return stmt.all(values);
+      stmt.run(values);
+      return [];
+    },
+    async execute(sql) {
+      const stmt = db.prepare(sql);
+      return stmt.reader ? stmt.all().length : stmt.run().changes;
+    },
+    async tableColumns(table) {
+      const rows = db.prepare("SELECT name FROM pragma_table_info(?)").all(table);
+      return rows.length ? rows.map((r) => r.name) : null;
+    },
+    async loadSchema() {
+      const tables = {};
+      // Virtual tables (FTS5, rtree, …) and the shadow tables holding their data aren't part of the schema.
+      const names = db.prepare("SELECT name FROM pragma_table_list WHERE schema = 'main' AND type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name").all();
+      // sqlite-vec marks only some of its shadow tables (none when it isn't loaded), and
+      // sqlite.js's `vector index` adds <vec0 table>_pending; all start with the vec0 table's name.
+      const vec0 = db.prepare("SELECT name FROM sqlite_master WHERE sql LIKE 'CREATE VIRTUAL TABLE%USING vec0%'").all().map((r) => `${r.name}_`);
+      for (const { name } of names) {
+        if (vec0.some((prefix) => name.startsWith(prefix))) continue;
+        const cols = db.prepare("SELECT * FROM pragma_table_info(?)").all(name);
+        const indexes = db.prepare("SELECT * FROM pragma_index_list(?) WHERE origin != 'pk' ORDER BY name").all(name).map((idx) => ({
+          name: idx.name,
+          unique: idx.unique === 1,
+          columns: db.prepare("SELECT name FROM pragma_index_info(?) ORDER BY seqno").all(idx.name).map((c) => c.name),
+        }));
+        const fks = new Map();
+        for (const fk of db.prepare("SELECT * FROM pragma_foreign_key_list(?) ORDER BY id, seq").all(name)) {
+          if (!fks.has(fk.id)) fks.set(fk.id, { name: `${name}_fk${fk.id}`, columns: [], refTable: fk.table, refColumns: [], onDelete: fk.on_delete, onUpdate: fk.on_update });
+          fks.get(fk.id).columns.push(fk.from);
+          fks.get(fk.id).refColumns.push(fk.to);
+        }
+        tables[name] = {
+          name,
+          columns: cols.map((c) => ({ name: c.name, type: c.type || "ANY", nullable: !c.notnull, default: c.dflt_value })),
+          primaryKey: { name: null, columns: cols.filter((c) => c.pk).sort((a, b) => a.pk - b.pk).map((c) => c.name) },
+          indexes,
+          foreignKeys: [...fks.values()],
+        };
+      }
+      return { dialect: "sqlite", tables };
+    },
+    async estimateRows(table) {
+      return db.prepare(`SELECT COUNT(*) AS n FROM ${quoteIdent(table, "sqlite")}`).get().n;
+    },
+    async *readBatches(table, size) {
+      let rows = [];
+      for (const row of db.prepare(`SELECT * FROM ${quoteIdent(table, "sqlite")}`).iterate()) {
+        rows.push(row);
+        if (rows.length === size) { yield rows; rows = []; }
+      }
+      if (rows.length > 0) yield rows;
+    },
+  };
+}
+
+/** For lib/copy.js: an adapter on target.url, a file (created if missing); close() closes it. */
+export async function openAdapter(target) {
+  const db = new Database(target.url);
+  db.pragma("journal_mode = WAL");
+  return { ...makeAdapter(db), close: () => db.close() };
+}
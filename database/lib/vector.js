@@ -0,0 +1,77 @@
+/**
+ * Vector math for sqlite.js `vector`: embeddings stored in a column → nearest rows
+ *
+ * A stored vector is either a BLOB of little-endian float32s (what sqlite-vec
+ * and most embedding libraries write) or JSON text like [0.12, -0.5, …].
+ * Three metrics, each reported as `score`:
+ *   cosine — similarity, 1 is identical, higher is nearer
+ *   l2     — Euclidean distance, lower is nearer
+ *   dot    — dot product, higher is nearer (cosine for normalised vectors)
+ */
+
+export const METRICS = ["cosine", "l2", "dot"];
+
+/** Stored value → Float32Array, or null when it isn't a vector. */
+export function parseVector(value) {
+  if (Buffer.isBuffer(value)) {
+    if (value.length === 0 || value.length % 4) return null;
+    const out = new Float32Array(value.length / 4);
+    for (let i = 0; i < out.length; i++) out[i] = value.readFloatLE(i * 4);
+    return out;
+  }
+  if (typeof value === "string" || Array.isArray(value)) {
+    let arr = value;
+    if (typeof value === "string") {
+      try { arr = JSON.parse(value); } catch { return null; }
+    }
+    if (!Array.isArray(arr) || !arr.length || !arr.every((x) => typeof x === "number")) return null;
+    return Float32Array.from(arr);
+  }
+  return null;
+}
+
+function norm(v) {
+  let s = 0;
+  for (let i = 0; i < v.length; i++) s += v[i] * v[i];
+  return Math.sqrt(s);
+}
+
+/** (query) → (vector) → score, with `better(a, b)` true when score a is nearer. */
+export function scorer(metric, query) {
+  if (!METRICS.includes(metric)) throw new Error(`--metric must be one of ${METRICS.join(", ")}`);
+  const qNorm = norm(query);
+  const score = {
+    cosine(v) {
+      let dot = 0;
+      for (let i = 0; i < v.length; i++) dot += query[i] * v[i];
+      const n = qNorm * norm(v);
+      return n ? dot / n : 0;
+    },
+    l2(v) {
+      let s = 0;
+      for (let i = 0; i < v.length; i++) s += (query[i] - v[i]) ** 2;
+      return Math.sqrt(s);
+    },
+    dot(v) {
+      let s = 0;
+      for (let i = 0; i < v.length; i++) s += query[i] * v[i];
+      return s;
+    },
+  }[metric];
+  return { score, better: metric === "l2" ? (a, b) => a < b : (a, b) => a > b };
+}
+
+/** Keeps the k nearest of everything pushed, best first; memory stays at k. */
+export function topK(k, better) {
+  const items = [];
+  return {
+    push(key, score) {
+      if (items.length === k && !better(score, items[k - 1].score)) return;
+      let i = items.length;
+      while (i > 0 && better(score, items[i - 1].score)) i--;
+      items.splice(i, 0, { key, score });
+      if (items.length > k) items.pop();
+    },
+    items: () => items,
+  };
+}
@@ -5,20 +5,45 @@
  *
  * Usage:
  *   node mongo.js collections                                 # List collections
- *   node mongo.js find <collection> [--filter '{"age":{"$gt":25}}'] [--limit 10]
+ *   node mongo.js find <collection> [--filter '{"age":{"$gt":25}}'] [--limit 10] [--format csv] [--output file]
  *   node mongo.js findOne <collection> <id>                   # Get by _id
  *   node mongo.js insert <collection> '{"name":"John"}'       # Insert document
  *   node mongo.js update <collection> <id> '{"name":"Jane"}'  # Update by _id
  *   node mongo.js delete <collection> <id>                    # Delete by _id
+ *   node mongo.js insertMany <collection> <file.ndjson> [--unordered] [--batch 1000]
+ *   node mongo.js updateMany <collection> --filter '{…}' --update '{"$inc":{…}}' [--upsert] [--dry-run]
+ *   node mongo.js deleteMany <collection> --filter '{…}' --confirm  # Counts only without --confirm
+ *   node mongo.js upsert <collection> '{"email":"a@b.c","name":"A"}' [--key email]
+ *   node mongo.js replace <collection> <id> '{…}' [--upsert]  # Replace the whole document
+ *   node mongo.js bulk <collection> <ops.ndjson> [--unordered] [--dry-run]  # bulkWrite, summary per op type
  *   node mongo.js count <collection> [--filter '{}']          # Count docs
+ *   node mongo.js profile <collection> [--sample 10000]       # Fields: presence, BSON types, stats
+ *   node mongo.js schema <collection> [--sample 1000] [--format validator|typescript|…]  # Inferred field tree
+ *   node mongo.js apply-validator <collection> [--file validator.json] --confirm  # $jsonSchema via collMod
  *   node mongo.js aggregate <collection> '[{"$group":{...}}]' # Aggregation
  *   node mongo.js indexes <collection>                        # List indexes
  *   node mongo.js stats                                       # Database stats
+ *   node mongo.js copy <collection> --to postgres://… [--as name] [--filter '{}'] [--sample 1000]
+ *   node mongo.js repl                                        # Interactive shell
+ *
+ * Extended JSON: filters, documents and pipelines may use {"$oid"}, {"$date"}, {"$numberDecimal"}, …;
+ * JSON output is relaxed Extended JSON (--ejson canonical keeps every number's type)
  *
  * Connection: MONGODB_URL env var (default: mongodb://localhost:27017/test)
  */
 
-import { MongoClient, ObjectId } from "mongodb";
+import { BSON, MongoBulkWriteError, MongoClient, ObjectId } from "mongodb";
+import { readFileSync } from "fs";
+import { formatRows, resolveFormat } from "./lib/output.js";
+import { bracketsComplete, splitWords, startRepl } from "./lib/repl.js";
+import { printProfile, profileDocuments } from "./lib/profile.js";
+import { inferSchema, printSchema, SCHEMA_FORMATS, validatorOf } from "./lib/docschema.js";
+import { copyTable } from "./lib/copy.js";
+import { makeAdapter } from "./lib/mongo.js";
+import { detectFormat, printRejected, readRecords } from "./lib/import.js";
+
+// Flags that never take a value.
+const BOOLEAN = new Set(["confirm", "dry-run", "unordered", "upsert"]);
 
 function parseArgs(args) {
   const result = { _: [] };
@@ -26,7 +51,7 @@ function parseArgs(args) {
   while (i < args.length) {
     if (args[i].startsWith("--")) {
       const key = args[i].slice(2);
-      if (i + 1 < args.length && !args[i + 1].startsWith("--")) { result[key] = args[i + 1]; i += 2; }
+      if (!BOOLEAN.has(key) && i + 1 < args.length && !args[i + 1].startsWith("--")) { result[key] = args[i + 1]; i += 2; }
       else { result[key] = true; i += 1; }
     } else { result._.push(args[i]); i += 1; }
   }
@@ -39,7 +64,40 @@ function parseId(id) {
   try { return new ObjectId(id); } catch { return id; }
 }
 
+const { EJSON } = BSON;
+
+// Filters, documents and pipelines are Extended JSON: {"$oid": …},
+// {"$date": "2025-01-01"}, {"$numberDecimal": "9.99"}, … Parsed canonically,
+// so {"$numberLong": "5"} stays a long instead of becoming a JS number.
+function parseEjson(text, what) {
+  try {
+    return EJSON.parse(text, { relaxed: false });
+  } catch (err) {
+    throw new Error(`${what} is not valid Extended JSON: ${err.message}`);
+  }
+}
+
+function ejsonMode(opts) {
+  const mode = opts.ejson && opts.ejson !== true ? opts.ejson : "relaxed";
+  if (!["relaxed", "canonical"].includes(mode)) throw new Error("--ejson must be relaxed or canonical");
+  return { relaxed: mode === "relaxed" };
+}
+
+// Documents → formatRows rows. json/ndjson get Extended JSON (relaxed: plain
+// numbers, {"$date": "…Z"}; --ejson canonical types every number); the flat
+// formats keep top-level BSON values, which print as text, with sub-documents
+// as Extended JSON text.
+function outputRows(docs, opts, fallback) {
+  const mode = ejsonMode(opts);
+  if (resolveFormat(opts.format, fallback) === "json") return docs.map((doc) => EJSON.serialize(doc, mode));
+  const nested = (v) => v !== null && typeof v === "object" && !v._bsontype && !(v instanceof Date) && !Buffer.isBuffer(v);
+  return docs.map((doc) => Object.fromEntries(Object.entries(doc).map(([k, v]) => [k, nested(v) ? EJSON.serialize(v, mode) : v])));
+}
+
+let session = null; // the REPL's open database; withDb reuses it
+
 async function withDb(fn) {
+  if (session) return await fn(session);
   const client = new MongoClient(MONGODB_URL);
   try {
     await client.connect();
@@ -63,41 +121,49 @@ async function listCollections() {
 
 async function findDocs(collection, opts) {
   await withDb(async (db) => {
-    const filter = opts.filter ? JSON.parse(opts.filter) : {};
+    const filter = opts.filter ? parseEjson(opts.filter, "--filter") : {};
     const limit = parseInt(opts.limit) || 20;
-    const sort = opts.sort ? JSON.parse(opts.sort) : {};
+    const sort = opts.sort ? parseEjson(opts.sort, "--sort") : {};
     const projection = opts.fields ? Object.fromEntries(opts.fields.split(",").map((f) => [f.trim(), 1])) : {};
 
     const docs = await db.collection(collection).find(filter, { projection }).sort(sort).limit(limit).toArray();
-    console.log(`Documents: ${docs.length}\n`);
-    for (const doc of docs) {
-      console.log(JSON.stringify(doc));
-    }
+    const format = opts.format || "json";
+    if (format === "json" && !opts.output) console.log(`Documents: ${docs.length}\n`);
+    await formatRows(outputRows(docs, opts, format), { ...opts, format });
   });
 }
 
-async function findOne(collection, id) {
+async function findOne(collection, id, opts) {
   await withDb(async (db) => {
     const doc = await db.collection(collection).findOne({ _id: parseId(id) });
-    if (doc) { console.log(JSON.stringify(doc, null, 2)); }
+    if (doc) { console.log(EJSON.stringify(doc, null, 2, ejsonMode(opts))); }
     else { console.log("Not found."); }
   });
 }
 
 async function insertDoc(collection, jsonStr) {
   await withDb(async (db) => {
-    const doc = JSON.parse(jsonStr);
+    const doc = parseEjson(jsonStr, "document");
     const result = await db.collection(collection).insertOne(doc);
     console.log(`✅ Inserted: ${result.insertedId}`);
   });
 }
 
+// Update operators ({"$set": …, "$inc": …}) or an aggregation pipeline ([…]),
+// as opposed to a whole document.
+function isUpdate(update) {
+  if (Array.isArray(update)) return true;
+  const keys = update && typeof update === "object" ? Object.keys(update) : [];
+  return keys.length > 0 && keys.every((k) => k.startsWith("$"));
+}
+
+// A plain document is $set; operators go through as given.
 async function updateDoc(collection, id, jsonStr) {
   await withDb(async (db) => {
-    const update = JSON.parse(jsonStr);
+    const update = parseEjson(jsonStr, "update");
     const result = await db.collection(collection).updateOne(
       { _id: parseId(id) },
-      { $set: update }
+      isUpdate(update) ? update : { $set: update }
     );
     console.log(`✅ Modified: ${result.modifiedCount} document(s)`);
   });
@@ -110,19 +176,298 @@ async function deleteDoc(collection, id) {
   });
 }
 
+// updateMany and deleteMany act on every match, so the filter is never implied.
+function requireFilter(opts, cmd) {
+  if (!opts.filter || opts.filter === true) throw new Error(`${cmd} needs --filter (--filter '{}' for every document)`);
+  return parseEjson(opts.filter, "--filter");
+}
+
+async function updateMany(collection, opts) {
+  if (!collection) throw new Error("Usage: updateMany <collection> --filter '{…}' --update '{\"$set\":{…}}'");
+  const filter = requireFilter(opts, "updateMany");
+  if (!opts.update || opts.update === true) throw new Error("updateMany needs --update");
+  const update = parseEjson(opts.update, "--update");
+  if (!isUpdate(update)) throw new Error(`--update takes update operators like {"$set":{"status":"done"}} or a pipeline; use replace for whole documents`);
+  await withDb(async (db) => {
+    const coll = db.collection(collection);
+    if (opts["dry-run"]) {
+      console.log(`Would update ${await coll.countDocuments(filter)} document(s) in ${collection}${opts.upsert ? " (or insert one if none match)" : ""}. Nothing was written.`);
+      return;
+    }
+    const result = await coll.updateMany(filter, update, { upsert: !!opts.upsert });
+    console.log(`✅ Matched ${result.matchedCount}, modified ${result.modifiedCount} document(s)${result.upsertedId ? `; inserted ${result.upsertedId}` : ""}`);
+  });
+}
+
+// Without --confirm (or with --dry-run) only counts what would go.
+async function deleteMany(collection, opts) {
+  if (!collection) throw new Error("Usage: deleteMany <collection> --filter '{…}' --confirm");
+  const filter = requireFilter(opts, "deleteMany");
+  await withDb(async (db) => {
+    const coll = db.collection(collection);
+    if (!opts.confirm || opts["dry-run"]) {
+      const count = await coll.countDocuments(filter);
+      console.log(`This would delete ${count} document(s) from ${collection}.${opts["dry-run"] ? "" : " Run again with --confirm to do it."}`);
+      return;
+    }
+    const result = await coll.deleteMany(filter);
+    console.log(`✅ Deleted: ${result.deletedCount} document(s)`);
+  });
+}
+
+// Insert the document, or $set its other fields on the one whose --key fields
+// (default _id) match.
+async function upsertDoc(collection, jsonStr, opts) {
+  if (!collection || !jsonStr) throw new Error("Usage: upsert <collection> '{…}' [--key _id]");
+  const doc = parseEjson(jsonStr, "document");
+  const keys = String(opts.key && opts.key !== true ? opts.key : "_id").split(",").map((k) => k.trim());
+  const missing = keys.find((k) => doc[k] === undefined);
+  if (missing) throw new Error(`The document has no ${missing} to match on (--key)`);
+  const filter = Object.fromEntries(keys.map((k) => [k, k === "_id" && typeof doc[k] === "string" ? parseId(doc[k]) : doc[k]]));
+  const fields = Object.fromEntries(Object.entries(doc).filter(([k]) => !keys.includes(k)));
+  if (!Object.keys(fields).length) throw new Error("Nothing to set besides the --key fields");
+  await withDb(async (db) => {
+    const result = await db.collection(collection).updateOne(filter, { $set: fields }, { upsert: true });
+    if (result.upsertedId) console.log(`✅ Inserted: ${result.upsertedId}`);
+    else console.log(`✅ Matched ${result.matchedCount}, modified ${result.modifiedCount} document(s)`);
+  });
+}
+
+async function replaceDoc(collection, id, jsonStr, opts) {
+  if (!collection || !id || !jsonStr) throw new Error("Usage: replace <collection> <id> '{…}' [--upsert]");
+  const doc = parseEjson(jsonStr, "document");
+  if (isUpdate(doc)) throw new Error("replace takes a whole document; use update or updateMany for operators");
+  await withDb(async (db) => {
+    const result = await db.collection(collection).replaceOne({ _id: parseId(id) }, doc, { upsert: !!opts.upsert });
+    if (result.upsertedId) console.log(`✅ Inserted: ${result.upsertedId}`);
+    else if (!result.matchedCount) console.log("Not found.");
+    else console.log(`✅ Replaced: ${result.modifiedCount} document(s)`);
+  });
+}
+
+// Write errors of a failed insertMany/bulkWrite, by input line.
+function writeErrors(err, lines) {
+  return [err.writeErrors].flat().filter(Boolean).map((e) => ({ line: lines[e.index], error: e.errmsg }));
+}
+
+// lib/import.js's records with Extended JSON values turned into BSON types.
+function readDocuments(file, format) {
+  const { records, rejected } = readRecords(file, format);
+  const docs = [];
+  for (const record of records) {
+    try {
+      docs.push({ ...record, values: EJSON.deserialize(record.values, { relaxed: false }) });
+    } catch (err) {
+      rejected.push({ line: record.line, error: err.message });
+    }
+  }
+  return { records: docs, rejected };
+}
+
+// NDJSON (or a JSON array / CSV, by extension or --format) in --batch sized
+// insertMany calls. Ordered stops at the first failing document, --unordered
+// inserts the rest; either way failures are reported by line.
+async function insertMany(collection, file, opts) {
+  if (!collection || !file) throw new Error("Usage: insertMany <collection> <file.ndjson> [--unordered]");
+  const format = detectFormat(file, opts.format);
+  const size = opts.batch ? Number(opts.batch) : 1000;
+  if (!Number.isInteger(size) || size <= 0) throw new Error("--batch must be a positive integer");
+  const { records, rejected } = readDocuments(file, format);
+  const unit = format === "json" ? "record" : "line";
+  const ordered = !opts.unordered;
+
+  if (opts["dry-run"]) {
+    console.log(`Would insert ${records.length} document(s) from ${file} into ${collection}. Nothing was written.`);
+    printRejected(rejected, unit);
+    return;
+  }
+  await withDb(async (db) => {
+    const coll = db.collection(collection);
+    let inserted = 0;
+    let stopped = null;
+    for (let start = 0; start < records.length && !stopped; start += size) {
+      const batch = records.slice(start, start + size);
+      try {
+        inserted += (await coll.insertMany(batch.map((r) => r.values), { ordered })).insertedCount;
+      } catch (err) {
+        if (!(err instanceof MongoBulkWriteError)) throw err;
+        inserted += err.insertedCount;
+        const failed = writeErrors(err, batch.map((r) => r.line));
+        rejected.push(...failed);
+        if (ordered) stopped = failed[0]?.line ?? batch[0].line;
+      }
+      if (process.stderr.isTTY) process.stderr.write(`\r  ${inserted.toLocaleString()} / ${records.length.toLocaleString()} documents`);
+    }
+    if (process.stderr.isTTY && records.length) process.stderr.write("\n");
+    rejected.sort((a, b) => a.line - b.line);
+    console.log(`✅ Inserted ${inserted} document(s) into ${collection}${rejected.length ? ` (${rejected.length} rejected)` : ""}.`);
+    if (stopped) console.log(`Stopped at ${unit} ${stopped}; --unordered inserts past failures.`);
+    printRejected(rejected, unit);
+  });
+}
+
+const BULK_OPS = {
+  insertOne: ["document"],
+  updateOne: ["filter", "update"],
+  updateMany: ["filter", "update"],
+  replaceOne: ["filter", "replacement"],
+  deleteOne: ["filter"],
+  deleteMany: ["filter"],
+};
+
+// One bulkWrite op per line (or array element), in the driver's own shape:
+//   {"updateOne": {"filter": {"sku": "A1"}, "update": {"$inc": {"qty": -1}}, "upsert": true}}
+function parseBulkOp(values) {
+  const names = Object.keys(values);
+  const name = names[0];
+  if (names.length !== 1 || !BULK_OPS[name]) throw new Error(`expected one of ${Object.keys(BULK_OPS).join(", ")}`);
+  const body = values[name];
+  const missing = BULK_OPS[name].find((field) => !body || typeof body[field] !== "object" || body[field] === null);
+  if (missing) throw new Error(`${name} needs "${missing}"`);
+  if (body.update && !isUpdate(body.update)) throw new Error(`${name} "update" takes update operators or a pipeline`);
+  if (body.replacement && isUpdate(body.replacement)) throw new Error(`replaceOne "replacement" is a whole document, not operators`);
+  return name;
+}
+
+async function bulk(collection, file, opts) {
+  if (!collection || !file) throw new Error("Usage: bulk <collection> <ops.ndjson> [--unordered] [--dry-run]");
+  const format = detectFormat(file, opts.format);
+  const unit = format === "json" ? "record" : "line";
+  const { records, rejected } = readDocuments(file, format);
+  const ops = [];
+  for (const record of records) {
+    try {
+      ops.push({ ...record, name: parseBulkOp(record.values) });
+    } catch (err) {
+      rejected.push({ line: record.line, error: err.message });
+    }
+  }
+  if (rejected.length) {
+    printRejected(rejected, unit);
+    throw new Error(`${rejected.length} invalid op(s) in ${file}; nothing was written`);
+  }
+  const counts = {};
+  for (const op of ops) counts[op.name] = (counts[op.name] || 0) + 1;
+  const ordered = !opts.unordered;
+  console.log(`${opts["dry-run"] ? "Would run" : "Running"} ${ops.length} op(s) on ${collection}, ${ordered ? "ordered" : "unordered"}:`);
+  for (const [name, n] of Object.entries(counts)) console.log(`  ${name.padEnd(11)} ${n}`);
+  if (opts["dry-run"]) {
+    console.log("Nothing was written.");
+    return;
+  }
+
+  await withDb(async (db) => {
+    let result;
+    let failed = [];
+    try {
+      result = await db.collection(collection).bulkWrite(ops.map((op) => op.values), { ordered });
+    } catch (err) {
+      if (!(err instanceof MongoBulkWriteError)) throw err;
+      result = err.result;
+      failed = writeErrors(err, ops.map((op) => op.line));
+    }
+    const total = [["inserted", result.insertedCount], ["matched", result.matchedCount], ["modified", result.modifiedCount],
+      ["upserted", result.upsertedCount], ["deleted", result.deletedCount]];
+    console.log(`${failed.length ? "⚠️ " : "✅"} ${total.map(([what, n]) => `${what} ${n}`).join(" · ")}`);
+    if (failed.length) {
+      const notRun = ordered ? ops.length - ops.findIndex((op) => op.line === failed[0].line) - 1 : 0;
+      printRejected(failed.map((f) => ({ ...f, error: `${ops.find((op) => op.line === f.line).name}: ${f.error}` })), unit);
+      throw new Error(`${failed.length} op(s) failed${notRun ? `; ${notRun} after the first failure were not run (--unordered runs them)` : ""}`);
+    }
+  });
+}
+
 async function countDocs(collection, opts) {
   await withDb(async (db) => {
-    const filter = opts.filter ? JSON.parse(opts.filter) : {};
+    const filter = opts.filter ? parseEjson(opts.filter, "--filter") : {};
     const count = await db.collection(collection).countDocuments(filter);
     console.log(`${collection}: ${count} documents`);
   });
 }
 
-async function aggregate(collection, pipelineStr) {
+// --filter matches of a collection, as a random $sample when there are more
+// than --sample of them. Numbers stay BSON-typed (promoteValues: false) so
+// int, long and double can be told apart.
+async function sampleDocuments(coll, opts, size) {
+  const filter = opts.filter ? parseEjson(opts.filter, "--filter") : {};
+  const sample = parseInt(opts.sample) || size;
+  const total = opts.filter ? await coll.countDocuments(filter) : await coll.estimatedDocumentCount();
+  const random = total > sample;
+  const docs = random
+    ? await coll.aggregate([{ $match: filter }, { $sample: { size: sample } }], { promoteValues: false }).toArray()
+    : await coll.find(filter, { promoteValues: false }).toArray();
+  return { docs, total, sample: random ? "random" : "first" };
+}
+
+async function profileCollection(collection, opts) {
+  if (!collection) throw new Error("Missing collection name");
+  await withDb(async (db) => {
+    const { docs, total, sample } = await sampleDocuments(db.collection(collection), opts, 10000);
+    const fields = profileDocuments(docs, { top: parseInt(opts.top) || 5 });
+    await printProfile({ name: collection, unit: "documents", total, sampled: docs.length, sample }, fields, opts);
+  });
+}
+
+async function inferCollection(db, collection, opts) {
+  const { docs, total, sample } = await sampleDocuments(db.collection(collection), opts, 1000);
+  if (!docs.length) throw new Error(`No documents in ${collection}${opts.filter ? " match --filter" : ""} to infer a schema from`);
+  return { root: inferSchema(docs), source: { name: collection, total, sampled: docs.length, sample } };
+}
+
+async function schema(collection, opts) {
+  if (!collection) throw new Error("Missing collection name");
+  if (opts.format && !SCHEMA_FORMATS.includes(opts.format)) throw new Error(`Unknown schema format: ${opts.format} (use ${SCHEMA_FORMATS.join("|")})`);
   await withDb(async (db) => {
-    const pipeline = JSON.parse(pipelineStr);
+    const { root, source } = await inferCollection(db, collection, opts);
+    printSchema(root, source, opts);
+  });
+}
+
+const VALIDATION_LEVELS = ["strict", "moderate", "off"];
+const VALIDATION_ACTIONS = ["error", "warn"];
+
+// The validator from --file ({ $jsonSchema } as `schema --format validator`
+// writes it, a bare $jsonSchema or query operators) or inferred like `schema`.
+// Shows it and how many existing documents it rejects; collMod (or
+// createCollection) sets it only with --confirm.
+async function applyValidator(collection, opts) {
+  if (!collection) throw new Error("Usage: apply-validator <collection> [--file validator.json] [--level strict] [--action error|warn] --confirm");
+  const level = opts.level && opts.level !== true ? opts.level : "strict";
+  // A validator inferred from a sample only warns unless asked: documents the
+  // sample missed (and writes the app has yet to make) may not fit it.
+  const action = opts.action && opts.action !== true ? opts.action : opts.file ? "error" : "warn";
+  if (!VALIDATION_LEVELS.includes(level)) throw new Error(`--level must be one of ${VALIDATION_LEVELS.join(", ")}`);
+  if (!VALIDATION_ACTIONS.includes(action)) throw new Error(`--action must be one of ${VALIDATION_ACTIONS.join(", ")}`);
+  let validator = null;
+  if (opts.file) {
+    const parsed = parseEjson(readFileSync(opts.file, "utf8"), opts.file);
+    validator = parsed.$jsonSchema || !(parsed.bsonType || parsed.properties) ? parsed : { $jsonSchema: parsed };
+  }
+  await withDb(async (db) => {
+    const exists = (await db.listCollections({ name: collection }, { nameOnly: true }).toArray()).length > 0;
+    if (!validator) {
+      if (!exists) throw new Error(`Collection ${collection} does not exist; pass --file to create it with a validator`);
+      validator = validatorOf((await inferCollection(db, collection, opts)).root);
+    }
+    const failing = exists ? await db.collection(collection).countDocuments({ $nor: [validator] }) : 0;
+    const settings = `validationLevel ${level}, validationAction ${action}`;
+    if (!opts.confirm || opts["dry-run"]) {
+      console.log(EJSON.stringify(validator, null, 2, { relaxed: true }));
+      console.log(`\n${failing} existing document(s) don't match.`);
+      console.log(`This would set the validator on ${collection} (${settings}).${opts["dry-run"] ? "" : " Run again with --confirm to do it."}`);
+      return;
+    }
+    if (exists) await db.command({ collMod: collection, validator, validationLevel: level, validationAction: action });
+    else await db.createCollection(collection, { validator, validationLevel: level, validationAction: action });
+    console.log(`✅ ${exists ? "Set" : "Created with"} validator on ${collection} (${settings})${failing ? `; ${failing} existing document(s) don't match` : ""}.`);
+  });
+}
+
+async function aggregate(collection, pipelineStr, opts) {
+  await withDb(async (db) => {
+    const pipeline = parseEjson(pipelineStr, "pipeline");
     const docs = await db.collection(collection).aggregate(pipeline).toArray();
-    for (const doc of docs) console.log(JSON.stringify(doc));
+    await formatRows(outputRows(docs, opts, "json"), { ...opts, format: opts.format || "json" });
   });
 }
 
@@ -150,6 +495,42 @@ async function dbStats() {
   });
 }
 
+async function copy(collection, opts) {
+  const filter = opts.filter ? parseEjson(opts.filter, "--filter") : undefined;
+  await withDb((db) => copyTable(makeAdapter(db), collection, { ...opts, filter }));
+}
+
+const COMMANDS = ["collections", "find", "findOne", "insert", "update", "delete", "insertMany", "updateMany", "deleteMany",
+  "upsert", "replace", "bulk", "count", "schema", "apply-validator", "profile", "aggregate", "indexes", "stats"];
+
+// In the shell each line is a command without the `node mongo.js` prefix:
+//   find users --filter {"age":{"$gt":25}} --limit 5
+async function repl(opts) {
+  const client = new MongoClient(MONGODB_URL);
+  await client.connect();
+  session = client.db(new URL(MONGODB_URL).pathname.slice(1) || "test");
+  try {
+    await startRepl({
+      engine: "mongo",
+      opts,
+      isComplete: bracketsComplete,
+      execute: async (text) => {
+        const line = parseArgs(splitWords(text));
+        if (line._[0] === "repl") throw new Error("Already in the shell");
+        await run({ ...opts, ...line });
+      },
+      meta: {
+        dt: { help: "List collections", run: () => listCollections() },
+        d: { help: "List a collection's indexes (\\d <collection>)", run: (coll) => (coll ? listIndexes(coll) : listCollections()) },
+      },
+      words: async () => [...COMMANDS, ...(await session.listCollections({}, { nameOnly: true }).toArray()).map((c) => c.name)],
+    });
+  } finally {
+    session = null;
+    await client.close();
+  }
+}
+
 // ── Main ──
 const args = parseArgs(process.argv.slice(2));
 const cmd = args._[0];
@@ -162,31 +543,84 @@ Usage:
   node mongo.js find <coll> [--filter '{"age":{"$gt":25}}'] [--limit 10]
   node mongo.js findOne <coll> <id>                                   Get by _id
   node mongo.js insert <coll> '{"name":"John","age":30}'              Insert
-  node mongo.js update <coll> <id> '{"name":"Jane"}'                  Update ($set)
+  node mongo.js update <coll> <id> '{"name":"Jane"}'                  Update ($set, or operators as given)
   node mongo.js delete <coll> <id>                                    Delete
+  node mongo.js insertMany <coll> <file.ndjson>                       Insert every line (.json array and
+      [--unordered] [--batch 1000] [--dry-run]                        .csv work too); failures by line
+  node mongo.js updateMany <coll> --filter '{…}'                      Update all matches; --dry-run counts
+      --update '{"$set":{…}}' [--upsert] [--dry-run]
+  node mongo.js deleteMany <coll> --filter '{…}' --confirm            Delete all matches (count only
+                                                                      without --confirm)
+  node mongo.js upsert <coll> '{"email":"a@b.c","n":1}' [--key email] Insert, or $set on the match by
+                                                                      --key fields (default _id)
+  node mongo.js replace <coll> <id> '{…}' [--upsert]                  Replace a whole document
+  node mongo.js bulk <coll> <ops.ndjson> [--unordered] [--dry-run]    bulkWrite: one {"insertOne"|
+                                                                      "updateOne"|"deleteMany"|…: {…}}
+                                                                      per line; counts per op type
   node mongo.js count <coll> [--filter '{}']                          Count
+  node mongo.js profile <coll> [--filter '{}'] [--sample 10000]       Per field: presence, BSON types,
+      [--top 5] [--format json]                                       nulls, distinct, stats, top values
+  node mongo.js schema <coll> [--sample 1000] [--filter '{}']         Field tree inferred from a sample:
+      [--format tree|json|validator|jsonschema|typescript]            presence, BSON types, nesting; or a
+      [--output file]                                                 $jsonSchema validator, JSON Schema
+                                                                      or TypeScript interface
+  node mongo.js apply-validator <coll> [--file validator.json]        Set a $jsonSchema validator (inferred
+      [--level strict|moderate|off] [--action error|warn] --confirm   like schema unless --file) via collMod;
+                                                                      shows it and the existing documents it
+                                                                      rejects until --confirm; --action is
+                                                                      warn for inferred ones, else error
   node mongo.js aggregate <coll> '[{"$group":{"_id":"$status"}}]'     Aggregate
   node mongo.js indexes <coll>                                        List indexes
   node mongo.js stats                                                 Database stats
+  node mongo.js copy <coll> --to <target> [--as name] [--filter '{}'] Copy documents into postgres://…,
+      [--sample 1000] [--batch 1000] [--dry-run]                      mysql://…, mongodb://…, sqlite:<file>
+                                                                      or a profile; SQL columns are typed
+                                                                      from the sample
+  node mongo.js repl                                                  Interactive shell (\\? for help)
+
+Output (find, aggregate): --format json|csv|tsv|markdown|table|xlsx|parquet (default: json)
+  --output <file> writes to a file; nested fields become JSON text in flat formats
+
+Extended JSON: --filter, --update, documents, pipelines and files read Extended JSON, so
+  {"createdAt":{"$gte":{"$date":"2025-01-01"}}} or {"_id":{"$oid":"65a1…"}} query as typed.
+  JSON output (find, findOne, aggregate) is relaxed Extended JSON — ObjectId as {"$oid"},
+  dates as {"$date":"…Z"}, decimals as {"$numberDecimal"} — and can be pasted back in;
+  --ejson canonical also types every number ({"$numberLong":"5"}, {"$numberDouble":"1.5"})
 
 Connection: MONGODB_URL=mongodb://host:27017/dbname (default: mongodb://localhost:27017/test)`);
   process.exit(0);
 }
 
-try {
+async function run(args) {
+  const cmd = args._[0];
   switch (cmd) {
     case "collections": await listCollections(); break;
     case "find":        await findDocs(args._[1], args); break;
-    case "findOne":     await findOne(args._[1], args._[2]); break;
+    case "findOne":     await findOne(args._[1], args._[2], args); break;
     case "insert":      await insertDoc(args._[1], args._[2]); break;
     case "update":      await updateDoc(args._[1], args._[2], args._[3]); break;
     case "delete":      await deleteDoc(args._[1], args._[2]); break;
+    case "insertMany":  await insertMany(args._[1], args._[2], args); break;
+    case "updateMany":  await updateMany(args._[1], args); break;
+    case "deleteMany":  await deleteMany(args._[1], args); break;
+    case "upsert":      await upsertDoc(args._[1], args._[2], args); break;
+    case "replace":     await replaceDoc(args._[1], args._[2], args._[3], args); break;
+    case "bulk":        await bulk(args._[1], args._[2], args); break;
     case "count":       await countDocs(args._[1], args); break;
-    case "aggregate":   await aggregate(args._[1], args._[2]); break;
+    case "profile":     await profileCollection(args._[1], args); break;
+    case "schema":      await schema(args._[1], args); break;
+    case "apply-validator": await applyValidator(args._[1], args); break;
+    case "aggregate":   await aggregate(args._[1], args._[2], args); break;
     case "indexes":     await listIndexes(args._[1]); break;
     case "stats":       await dbStats(); break;
-    default: console.error(`Unknown: ${cmd}`); process.exit(1);
+    case "copy":        await copy(args._[1], args); break;
+    case "repl":        await repl(args); break;
+    default: throw new Error(`Unknown: ${cmd}`);
   }
+}
+
+try {
+  await run(args);
 } catch (err) {
   console.error(`Error: ${err.message}`);
   process.exit(1);
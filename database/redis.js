@@ -19,11 +19,15 @@
  *   node redis.js info                            # Server info
  *   node redis.js dbsize                          # Key count
  *   node redis.js flush                           # Flush current DB (DANGER)
+ *   node redis.js repl                            # Interactive shell
  *
  * Connection: REDIS_URL env var (default: redis://localhost:6379)
+ * Output: keys, scan, hgetall and lrange accept --format csv|json|table|… and --output <file>
  */
 
 import { createClient } from "redis";
+import { formatRows } from "./lib/output.js";
+import { bracketsComplete, splitWords, startRepl } from "./lib/repl.js";
 
 function parseArgs(args) {
   const result = { _: [] };
@@ -40,13 +44,23 @@ function parseArgs(args) {
 
 const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379";
 
+let session = null; // the REPL's open client; withClient reuses it
+
 async function withClient(fn) {
+  if (session) return await fn(session);
   const client = createClient({ url: REDIS_URL });
   client.on("error", (err) => { console.error(`Redis error: ${err.message}`); process.exit(1); });
   await client.connect();
   try { await fn(client); } finally { await client.disconnect(); }
 }
 
+// With --format or --output rows go through the shared formatter; otherwise
+// each command keeps its compact default output.
+async function printRows(rows, opts, fallback) {
+  if (opts.format || opts.output) await formatRows(rows, opts);
+  else fallback();
+}
+
 async function getValue(key) {
   await withClient(async (client) => {
     const type = await client.type(key);
@@ -97,30 +111,41 @@ async function delKey(key) {
   });
 }
 
-async function listKeys(pattern) {
+async function listKeys(pattern, opts) {
   await withClient(async (client) => {
     const keys = await client.keys(pattern || "*");
-    console.log(`Keys: ${keys.length}\n`);
+    const rows = [];
     for (const key of keys.sort()) {
-      const type = await client.type(key);
-      const ttl = await client.ttl(key);
-      const ttlStr = ttl === -1 ? "∞" : `${ttl}s`;
-      console.log(`  ${key} (${type}, TTL: ${ttlStr})`);
+      rows.push({ key, type: await client.type(key), ttl: await client.ttl(key) });
     }
+    await printRows(rows, opts, () => {
+      console.log(`Keys: ${keys.length}\n`);
+      for (const { key, type, ttl } of rows) {
+        const ttlStr = ttl === -1 ? "∞" : `${ttl}s`;
+        console.log(`  ${key} (${type}, TTL: ${ttlStr})`);
+      }
+    });
   });
 }
 
 async function scanKeys(pattern, opts) {
   await withClient(async (client) => {
     const count = parseInt(opts.count) || 100;
+    const formatted = opts.format || opts.output;
+    const rows = [];
     let cursor = 0;
     let total = 0;
     do {
       const result = await client.scan(cursor, { MATCH: pattern || "*", COUNT: count });
       cursor = result.cursor;
-      for (const key of result.keys) { console.log(key); total++; }
+      for (const key of result.keys) {
+        if (formatted) rows.push({ key });
+        else console.log(key);
+        total++;
+      }
     } while (cursor !== 0);
-    console.log(`\n${total} keys found.`);
+    if (formatted) await formatRows(rows, opts);
+    else console.log(`\n${total} keys found.`);
   });
 }
 
@@ -138,10 +163,11 @@ async function hset(key, field, value) {
   });
 }
 
-async function hgetall(key) {
+async function hgetall(key, opts) {
   await withClient(async (client) => {
     const vals = await client.hGetAll(key);
-    console.log(JSON.stringify(vals, null, 2));
+    const rows = Object.entries(vals).map(([field, value]) => ({ field, value }));
+    await printRows(rows, opts, () => console.log(JSON.stringify(vals, null, 2)));
   });
 }
 
@@ -152,10 +178,11 @@ async function lpush(key, value) {
   });
 }
 
-async function lrange(key, start, stop) {
+async function lrange(key, start, stop, opts) {
   await withClient(async (client) => {
     const vals = await client.lRange(key, parseInt(start), parseInt(stop));
-    vals.forEach((v) => console.log(v));
+    const rows = vals.map((value) => ({ value }));
+    await printRows(rows, opts, () => vals.forEach((v) => console.log(v)));
   });
 }
 
@@ -201,6 +228,69 @@ async function flushDb() {
   });
 }
 
+const COMMANDS = ["get", "set", "del", "keys", "scan", "hget", "hset", "hgetall", "lpush", "lrange", "type", "ttl", "info", "dbsize", "flush"];
+
+// Replies printed the way redis-cli prints them.
+function formatReply(reply, indent = "") {
+  if (reply === null || reply === undefined) return "(nil)";
+  if (typeof reply === "number") return `(integer) ${reply}`;
+  if (Array.isArray(reply)) {
+    if (reply.length === 0) return "(empty array)";
+    const width = String(reply.length).length;
+    return reply.map((item, i) => {
+      const label = `${String(i + 1).padStart(width)}) `;
+      return `${i ? indent : ""}${label}${formatReply(item, indent + " ".repeat(label.length))}`;
+    }).join("\n");
+  }
+  return typeof reply === "string" && reply !== "OK" ? JSON.stringify(reply) : String(reply);
+}
+
+// In the shell each line is one of the commands above without the
+// `node redis.js` prefix; anything else goes to the server as a raw command.
+async function repl(opts) {
+  const client = createClient({ url: REDIS_URL });
+  client.on("error", (err) => { console.error(`Redis error: ${err.message}`); process.exit(1); });
+  await client.connect();
+  session = client;
+  try {
+    await startRepl({
+      engine: "redis",
+      opts,
+      isComplete: bracketsComplete,
+      execute: async (text) => {
+        const words = splitWords(text);
+        if (COMMANDS.includes(words[0].toLowerCase())) {
+          const line = parseArgs(words);
+          line._[0] = line._[0].toLowerCase();
+          await run({ ...opts, ...line });
+        } else if (words[0].toLowerCase() === "repl") {
+          throw new Error("Already in the shell");
+        } else {
+          console.log(formatReply(await client.sendCommand(words)));
+        }
+      },
+      meta: {
+        dt: { help: "Scan keys (\\dt <pattern>)", run: (pattern) => scanKeys(pattern, {}) },
+        d: { help: "Show a key's value (\\d <key>)", run: (key) => (key ? getValue(key) : scanKeys(undefined, {})) },
+      },
+      words: async () => {
+        // A sample of key names is enough for completion; SCAN stops at 1000.
+        const keys = [];
+        let cursor = 0;
+        do {
+          const result = await client.scan(cursor, { COUNT: 500 });
+          cursor = result.cursor;
+          keys.push(...result.keys);
+        } while (cursor !== 0 && keys.length < 1000);
+        return [...COMMANDS, ...keys];
+      },
+    });
+  } finally {
+    session = null;
+    await client.disconnect();
+  }
+}
+
 // ── Main ──
 const args = parseArgs(process.argv.slice(2));
 const cmd = args._[0];
@@ -224,30 +314,41 @@ Usage:
   node redis.js info                               Server info
   node redis.js dbsize                             Key count
   node redis.js flush                              ⚠️  Flush current DB
+  node redis.js repl                               Interactive shell; other commands go to
+                                                   the server as typed (\\? for help)
+
+Output (keys, scan, hgetall, lrange): --format table|json|csv|tsv|markdown|xlsx|parquet
+  --output <file> writes to a file instead of stdout
 
 Connection: REDIS_URL=redis://host:6379 (default: redis://localhost:6379)`);
   process.exit(0);
 }
 
-try {
+async function run(args) {
+  const cmd = args._[0];
   switch (cmd) {
     case "get":     await getValue(args._[1]); break;
     case "set":     await setValue(args._[1], args._[2], args); break;
     case "del":     await delKey(args._[1]); break;
-    case "keys":    await listKeys(args._[1]); break;
+    case "keys":    await listKeys(args._[1], args); break;
     case "scan":    await scanKeys(args._[1], args); break;
     case "hget":    await hget(args._[1], args._[2]); break;
     case "hset":    await hset(args._[1], args._[2], args._[3]); break;
-    case "hgetall": await hgetall(args._[1]); break;
+    case "hgetall": await hgetall(args._[1], args); break;
     case "lpush":   await lpush(args._[1], args._[2]); break;
-    case "lrange":  await lrange(args._[1], args._[2], args._[3]); break;
+    case "lrange":  await lrange(args._[1], args._[2], args._[3], args); break;
     case "type":    await keyType(args._[1]); break;
     case "ttl":     await keyTtl(args._[1]); break;
     case "info":    await serverInfo(); break;
     case "dbsize":  await dbsize(); break;
     case "flush":   await flushDb(); break;
-    default: console.error(`Unknown: ${cmd}`); process.exit(1);
+    case "repl":    await repl(args); break;
+    default: throw new Error(`Unknown: ${cmd}`);
   }
+}
+
+try {
+  await run(args);
 } catch (err) {
   console.error(`Error: ${err.message}`);
   process.exit(1);
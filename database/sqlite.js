@@ -5,17 +5,62 @@
  *
  * Usage:
  *   node sqlite.js <dbFile> query "SELECT * FROM users LIMIT 10"
+ *   node sqlite.js <dbFile> query "SELECT * FROM users WHERE id = ?" --param int:42
+ *   node sqlite.js <dbFile> run <file.sql> [--dry-run] [--autocommit]  # Script in one transaction
+ *   node sqlite.js <dbFile> migrate up|down [n]|status|new <name> [--dir migrations]
+ *   node sqlite.js <dbFile> explain "SELECT * FROM users WHERE email = ?" [--analyze]
  *   node sqlite.js <dbFile> tables
  *   node sqlite.js <dbFile> describe <table>
  *   node sqlite.js <dbFile> count <table>
- *   node sqlite.js <dbFile> export <table> [--format csv|json]
+ *   node sqlite.js <dbFile> profile <table> [--sample 10000] [--top 5]
+ *   node sqlite.js <dbFile> export <table> [--format csv|json|…] [--output file]
  *   node sqlite.js <dbFile> indexes <table>
+ *   node sqlite.js <dbFile> import <table> <file> [--create] [--upsert-key id] [--dry-run]
+ *   node sqlite.js <dbFile> seed <table> [--rows 1000] [--seed 42] [--skip col] [--dry-run]
+ *   node sqlite.js <dbFile> copy <table> --to postgres://… [--as name] [--batch 1000] [--dry-run]
+ *   node sqlite.js <dbFile> diff <otherDbFile> [--sql] [--drop] [--output migration.sql]
+ *   node sqlite.js <dbFile> erd [--format mermaid|dot|json] [--tables a,b]
+ *   node sqlite.js <dbFile> repl                     # Interactive shell (\dt, \d table, \format, \timing)
  *   node sqlite.js <dbFile> size
  *   node sqlite.js <dbFile> vacuum
+ *   node sqlite.js <dbFile> backup <dest> [--force]  # Online backup, safe while others write
+ *   node sqlite.js <dbFile> restore <src> --confirm
+ *   node sqlite.js <dbFile> check [--quick]          # integrity_check + foreign_key_check
+ *   node sqlite.js <dbFile> analyze [table]          # Refresh planner statistics
+ *   node sqlite.js <dbFile> fts create <table> <column>… [--tokenize porter]  # FTS5 index kept in sync
+ *   node sqlite.js <dbFile> fts search <table> "terms" [--limit 20]           # Ranked, with snippets
+ *   node sqlite.js <dbFile> json <table> <column> [$.path] [--fields a,b] [--tree]  # JSON → rows
+ *   node sqlite.js <dbFile> vector index <table> <column> --dims 1536 [--metric cosine|l2]
+ *   node sqlite.js <dbFile> vector search <table> <column> --query-file q.json [--k 10] [--metric cosine|l2|dot]
+ *
+ * More sources: --attach alias=other.db (query alias.table), --csv-table name=file.csv (both repeatable)
+ * Safety: --readonly (or DB_READONLY=1) opens the file read-only and rejects writes
  */
 
 import Database from "better-sqlite3";
-import { statSync } from "fs";
+import { existsSync, readFileSync, statSync } from "fs";
+import { resolve } from "path";
+import { parseParams } from "./lib/params.js";
+import { quoteIdent } from "./lib/ident.js";
+import { assertReadOnly, isReadonly, splitStatements } from "./lib/sql.js";
+import { formatRows } from "./lib/output.js";
+import { importFile, inferColumns, readRecords } from "./lib/import.js";
+import { printDiff } from "./lib/schema.js";
+import { printExplain } from "./lib/explain.js";
+import { printErd } from "./lib/erd.js";
+import { runScript } from "./lib/script.js";
+import { newMigration, runMigrations } from "./lib/migrate.js";
+import { profileTable } from "./lib/profile.js";
+import { seedTable } from "./lib/seed.js";
+import { copyTable } from "./lib/copy.js";
+import { makeAdapter, toBindValue } from "./lib/sqlite.js";
+import { parseVector, scorer, topK } from "./lib/vector.js";
+import { schemaWords, sqlComplete, startRepl } from "./lib/repl.js";
+
+// Flags that never take a value, and flags that may be given more than once
+// (those collect into an array).
+const BOOLEAN = new Set(["readonly", "create", "dry-run", "sql", "drop", "analyze", "autocommit", "force", "confirm", "quick", "tree"]);
+const REPEATABLE = new Set(["param", "attach", "csv-table"]);
 
 function parseArgs(args) {
   const result = { _: [] };
@@ -23,71 +68,134 @@ function parseArgs(args) {
   while (i < args.length) {
     if (args[i].startsWith("--")) {
       const key = args[i].slice(2);
-      if (i + 1 < args.length && !args[i + 1].startsWith("--")) { result[key] = args[i + 1]; i += 2; }
-      else { result[key] = true; i += 1; }
+      let value = true;
+      if (!BOOLEAN.has(key) && i + 1 < args.length && !args[i + 1].startsWith("--")) { value = args[i + 1]; i += 2; }
+      else { i += 1; }
+      if (REPEATABLE.has(key)) (result[key] ||= []).push(value);
+      else result[key] = value;
     } else { result._.push(args[i]); i += 1; }
   }
   return result;
 }
 
-function formatRows(rows, opts) {
-  if (!rows || rows.length === 0) { console.log("No rows returned."); return; }
-  const format = opts.format || "table";
-
-  if (format === "json") {
-    for (const row of rows) console.log(JSON.stringify(row));
-  } else if (format === "csv") {
-    const cols = Object.keys(rows[0]);
-    console.log(cols.join(","));
-    for (const row of rows) {
-      console.log(cols.map((c) => {
-        const v = row[c];
-        return v === null ? "" : typeof v === "string" && v.includes(",") ? `"${v}"` : String(v);
-      }).join(","));
-    }
-  } else {
-    console.log(`Rows: ${rows.length}\n`);
-    const cols = Object.keys(rows[0]);
-    const widths = cols.map((c) => Math.max(c.length, ...rows.map((r) => String(r[c] ?? "NULL").length)));
-    const clamped = widths.map((w) => Math.min(w, 40));
-    console.log(cols.map((c, i) => c.padEnd(clamped[i])).join(" │ "));
-    console.log(clamped.map((w) => "─".repeat(w)).join("─┼─"));
-    for (const row of rows) {
-      console.log(cols.map((c, i) => String(row[c] ?? "NULL").slice(0, 40).padEnd(clamped[i])).join(" │ "));
-    }
+let session = null; // the REPL's open database; withDb reuses it
+
+function splitSpec(spec, flag) {
+  const eq = typeof spec === "string" ? spec.indexOf("=") : -1;
+  if (eq <= 0 || eq === spec.length - 1) throw new Error(`Expected ${flag}`);
+  return [spec.slice(0, eq), spec.slice(eq + 1)];
+}
+
+// --attach alias=other.db and --csv-table name=file.csv add sources to this
+// connection only: attached files are queried as alias.table, and a CSV as a
+// read-only virtual table with numbers typed the way import infers them.
+function attachSources(db, opts) {
+  for (const spec of opts.attach || []) {
+    const [alias, file] = splitSpec(spec, "--attach alias=path.db");
+    if (!existsSync(file)) throw new Error(`--attach ${alias}: no such file: ${file}`);
+    db.prepare(`ATTACH DATABASE ? AS ${quoteIdent(alias, "sqlite")}`).run(file);
+    // Attached files open read-write even on a read-only connection.
+    if (db.readonly) db.pragma("query_only = ON");
+  }
+  for (const spec of opts["csv-table"] || []) {
+    const [name, file] = splitSpec(spec, "--csv-table name=file.csv");
+    const { records, rejected } = readRecords(file, "csv");
+    if (!records.length) throw new Error(`--csv-table ${name}: ${file} has no data rows`);
+    if (rejected.length) console.error(`--csv-table ${name}: skipped ${rejected.length} line(s) with the wrong number of fields (first: line ${rejected[0].line})`);
+    const columns = inferColumns(records);
+    // As in toBindValue, a JS number would come back as REAL.
+    const value = (v, type) => (v === null ? v : type === "integer" ? BigInt(v) : type === "real" ? Number(v) : v);
+    db.table(name, {
+      columns: columns.map((c) => c.name),
+      *rows() {
+        for (const { values } of records) yield columns.map((c) => value(values[c.name], c.type));
+      },
+    });
   }
 }
 
-function withDb(dbFile, fn) {
-  const db = new Database(dbFile, { readonly: false });
-  db.pragma("journal_mode = WAL");
-  try { fn(db); } finally { db.close(); }
+async function withDb(dbFile, fn, opts = {}) {
+  if (session && dbFile === session.name) return await fn(session);
+  const readonly = isReadonly(opts);
+  const db = new Database(dbFile, { readonly, fileMustExist: readonly });
+  try {
+    if (!readonly) db.pragma("journal_mode = WAL");
+    attachSources(db, opts);
+    // vec0 tables of `vector index` can only be read or dropped with sqlite-vec loaded.
+    if (db.prepare("SELECT 1 FROM sqlite_master WHERE sql LIKE '%USING vec0%'").get()) await loadVectorExtension(db, opts);
+    return await fn(db);
+  } finally { db.close(); }
 }
 
-function runQuery(dbFile, sql, opts) {
-  withDb(dbFile, (db) => {
-    const trimmed = sql.trim().toUpperCase();
-    if (trimmed.startsWith("SELECT") || trimmed.startsWith("PRAGMA") || trimmed.startsWith("WITH") || trimmed.startsWith("EXPLAIN")) {
-      const rows = db.prepare(sql).all();
-      formatRows(rows, opts);
+async function runQuery(dbFile, sql, opts, params = []) {
+  if (!sql) throw new Error("Missing SQL");
+  const readonly = isReadonly(opts);
+  if (readonly) assertReadOnly(sql, "sqlite");
+  await withDb(dbFile, async (db) => {
+    const stmt = db.prepare(sql);
+    // SQLite's own parser has the final say on whether the statement writes.
+    if (readonly && !stmt.readonly) throw new Error(`Read-only mode: blocked write statement: ${sql.trim()}`);
+    const values = params.map(toBindValue);
+    if (stmt.reader) {
+      await formatRows(stmt.all(values), opts, stmt.columns().map((c) => c.name));
     } else {
-      const result = db.prepare(sql).run();
+      const result = stmt.run(values);
       console.log(`✅ ${result.changes} row(s) affected.`);
     }
-  });
+  }, opts);
+}
+
+async function runFile(dbFile, file, opts) {
+  await withDb(dbFile, (db) => runScript(makeAdapter(db), file, opts), opts);
 }
 
-function listTables(dbFile, opts) {
-  withDb(dbFile, (db) => {
+async function migrate(dbFile, action, arg, opts) {
+  if (action === "new") return newMigration(opts.dir, arg);
+  await withDb(dbFile, (db) => runMigrations(makeAdapter(db), action, arg, opts), opts);
+}
+
+async function explainQuery(dbFile, sql, opts, params = []) {
+  if (!sql) throw new Error("Missing SQL");
+  if (isReadonly(opts)) assertReadOnly(`EXPLAIN ${opts.analyze ? "ANALYZE " : ""}${sql}`, "sqlite");
+  await withDb(dbFile, async (db) => {
+    const values = params.map(toBindValue);
+    const byId = new Map();
+    const roots = [];
+    for (const r of db.prepare(`EXPLAIN QUERY PLAN ${sql}`).all(values)) {
+      // "SCAN t" reads every row; "SCAN t USING … INDEX" and "SEARCH t …" don't.
+      const m = /^SCAN (?:TABLE )?(\S+)(?: AS (\S+))?$/.exec(r.detail);
+      const node = { title: r.detail, details: [], scan: m ? { table: m[1], alias: m[2] || m[1] } : null, children: [] };
+      byId.set(r.id, node);
+      (byId.get(r.parent)?.children || roots).push(node);
+    }
+    const summary = [];
+    if (opts.analyze) {
+      // SQLite has no EXPLAIN ANALYZE: time a real run and roll back any writes.
+      const stmt = db.prepare(sql);
+      db.exec("SAVEPOINT loop_explain");
+      try {
+        const start = process.hrtime.bigint();
+        const n = stmt.reader ? stmt.all(values).length : stmt.run(values).changes;
+        summary.push(`Execution: ${n} row(s) in ${(Number(process.hrtime.bigint() - start) / 1e6).toFixed(3)} ms`);
+      } finally {
+        db.exec("ROLLBACK TO loop_explain; RELEASE loop_explain");
+      }
+    }
+    await printExplain(makeAdapter(db), sql, roots, summary, opts);
+  }, opts);
+}
+
+async function listTables(dbFile, opts) {
+  await withDb(dbFile, async (db) => {
     const rows = db.prepare("SELECT name, type FROM sqlite_master WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%' ORDER BY type, name").all();
-    formatRows(rows, opts);
-  });
+    await formatRows(rows, opts);
+  }, opts);
 }
 
-function describeTable(dbFile, table, opts) {
-  withDb(dbFile, (db) => {
+async function describeTable(dbFile, table, opts) {
+  await withDb(dbFile, async (db) => {
     console.log(`# ${table}\n`);
-    const rows = db.prepare(`PRAGMA table_info('${table}')`).all();
+    const rows = db.prepare("SELECT * FROM pragma_table_info(?)").all(table);
     const formatted = rows.map((r) => ({
       column: r.name,
       type: r.type || "ANY",
@@ -95,42 +203,97 @@ function describeTable(dbFile, table, opts) {
       default: r.dflt_value,
       pk: r.pk ? "✅" : "",
     }));
-    formatRows(formatted, opts);
+    await formatRows(formatted, opts);
 
     // Foreign keys
-    const fks = db.prepare(`PRAGMA foreign_key_list('${table}')`).all();
+    const fks = db.prepare("SELECT * FROM pragma_foreign_key_list(?)").all(table);
     if (fks.length > 0) {
       console.log("\nForeign Keys:");
       for (const fk of fks) {
         console.log(`  ${fk.from} → ${fk.table}.${fk.to}`);
       }
     }
-  });
+  }, opts);
 }
 
-function listIndexes(dbFile, table, opts) {
-  withDb(dbFile, (db) => {
-    const rows = db.prepare(`PRAGMA index_list('${table}')`).all();
+async function listIndexes(dbFile, table, opts) {
+  await withDb(dbFile, (db) => {
+    const rows = db.prepare("SELECT * FROM pragma_index_list(?)").all(table);
     for (const idx of rows) {
-      const cols = db.prepare(`PRAGMA index_info('${idx.name}')`).all();
+      const cols = db.prepare("SELECT * FROM pragma_index_info(?)").all(idx.name);
       const unique = idx.unique ? " UNIQUE" : "";
       console.log(`${idx.name}${unique}: ${cols.map((c) => c.name).join(", ")}`);
     }
-  });
+  }, opts);
 }
 
-function countTable(dbFile, table) {
-  withDb(dbFile, (db) => {
-    const row = db.prepare(`SELECT COUNT(*) as count FROM "${table}"`).get();
+async function countTable(dbFile, table, opts) {
+  await withDb(dbFile, (db) => {
+    const row = db.prepare(`SELECT COUNT(*) as count FROM ${quoteIdent(table, "sqlite")}`).get();
     console.log(`${table}: ${row.count} rows`);
-  });
+  }, opts);
 }
 
-function exportTable(dbFile, table, opts) {
-  withDb(dbFile, (db) => {
-    const rows = db.prepare(`SELECT * FROM "${table}"`).all();
-    formatRows(rows, opts);
-  });
+async function profile(dbFile, table, opts) {
+  await withDb(dbFile, (db) => profileTable(makeAdapter(db), table, opts), opts);
+}
+
+async function copy(dbFile, table, opts) {
+  await withDb(dbFile, (db) => copyTable(makeAdapter(db), table, opts), opts);
+}
+
+async function seed(dbFile, table, opts) {
+  await withDb(dbFile, (db) => seedTable(makeAdapter(db), table, opts), opts);
+}
+
+async function exportTable(dbFile, table, opts) {
+  await withDb(dbFile, async (db) => {
+    const stmt = db.prepare(`SELECT * FROM ${quoteIdent(table, "sqlite")}`);
+    await formatRows(stmt.all(), opts, stmt.columns().map((c) => c.name));
+  }, opts);
+}
+
+async function importTable(dbFile, table, file, opts) {
+  if (isReadonly(opts) && !opts["dry-run"]) throw new Error("Read-only mode: blocked import");
+  await withDb(dbFile, (db) => importFile(makeAdapter(db), table, file, opts), opts);
+}
+
+async function diffSchema(dbFile, otherFile, opts) {
+  if (!otherFile) throw new Error("Usage: diff <otherDbFile>");
+  // Both sides only ever read.
+  const ro = { ...opts, readonly: true };
+  const a = await withDb(dbFile, (db) => makeAdapter(db).loadSchema(), ro);
+  const b = await withDb(otherFile, (db) => makeAdapter(db).loadSchema(), ro);
+  await printDiff(a, b, opts, [dbFile, otherFile]);
+}
+
+async function erd(dbFile, opts) {
+  const schema = await withDb(dbFile, (db) => makeAdapter(db).loadSchema(), opts);
+  printErd(schema, opts);
+}
+
+async function repl(dbFile, opts) {
+  const readonly = isReadonly(opts);
+  session = new Database(dbFile, { readonly, fileMustExist: readonly });
+  if (!readonly) session.pragma("journal_mode = WAL");
+  try {
+    attachSources(session, opts);
+    await startRepl({
+      engine: "sqlite",
+      opts,
+      isComplete: (text) => sqlComplete(text, "sqlite"),
+      execute: async (text) => { for (const s of splitStatements(text, "sqlite")) await runQuery(dbFile, s.sql, opts); },
+      meta: {
+        dt: { help: "List tables and views", run: () => listTables(dbFile, opts) },
+        d: { help: "Describe a table (\\d <table>)", run: (table) => (table ? describeTable(dbFile, table, opts) : listTables(dbFile, opts)) },
+        di: { help: "List a table's indexes (\\di <table>)", run: (table) => listIndexes(dbFile, table, opts) },
+      },
+      words: async () => schemaWords(await makeAdapter(session).loadSchema()),
+    });
+  } finally {
+    session.close();
+    session = null;
+  }
 }
 
 function dbSize(dbFile) {
@@ -141,8 +304,9 @@ function dbSize(dbFile) {
   console.log(`Size: ${sizeKB} KB (${sizeMB} MB)`);
 }
 
-function vacuum(dbFile) {
-  withDb(dbFile, (db) => {
+async function vacuum(dbFile, opts) {
+  if (isReadonly(opts)) throw new Error("Read-only mode: blocked VACUUM");
+  await withDb(dbFile, (db) => {
     const before = statSync(dbFile).size;
     db.pragma("journal_mode = DELETE");
     db.exec("VACUUM");
@@ -152,40 +316,533 @@ function vacuum(dbFile) {
   });
 }
 
+const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+// SQLite's online backup API copies pages while other connections keep
+// reading and writing, so unlike cp the copy is consistent even mid-write.
+async function backup(dbFile, dest, opts) {
+  if (!dest) throw new Error("Missing destination file");
+  if (existsSync(dest) && !opts.force) throw new Error(`${dest} exists; pass --force to overwrite it`);
+  await withDb(dbFile, async (db) => {
+    const started = Date.now();
+    let total = 0;
+    await db.backup(dest, {
+      progress({ totalPages, remainingPages }) {
+        total = totalPages;
+        if (process.stderr.isTTY) process.stderr.write(`\r  ${totalPages - remainingPages}/${totalPages} pages`);
+        return 1000;
+      },
+    });
+    if (process.stderr.isTTY) process.stderr.write("\n");
+    console.log(`✅ Backed up ${dbFile} to ${dest} (${mb(statSync(dest).size)}, ${total} pages) in ${((Date.now() - started) / 1000).toFixed(1)}s.`);
+  }, { readonly: true });
+}
+
+// The reverse: <src> is copied over <dbFile> page by page through the same
+// API, so connections that have it open see the restored data, not a torn file.
+// --confirm guards replacing a database; a <dbFile> that doesn't exist yet is
+// simply created, and the message says so (and where) in case of a typo.
+async function restore(dbFile, src, opts) {
+  if (isReadonly(opts)) throw new Error("Read-only mode: blocked restore");
+  if (!src) throw new Error("Missing backup file");
+  if (!existsSync(src)) throw new Error(`Backup not found: ${src}`);
+  const backupDb = new Database(src, { readonly: true, fileMustExist: true });
+  try {
+    const status = backupDb.pragma("quick_check", { simple: true });
+    if (status !== "ok") throw new Error(`${src} fails quick_check (${status}); not restoring from it`);
+    const tables = backupDb.prepare("SELECT COUNT(*) AS n FROM sqlite_master WHERE type = 'table'").get().n;
+    if (existsSync(dbFile) && !opts.confirm) {
+      console.log(`Would replace ${dbFile} (${mb(statSync(dbFile).size)}) with ${src} (${mb(statSync(src).size)}, ${tables} table(s)).`);
+      console.log("Run again with --confirm to restore.");
+      return;
+    }
+    const created = !existsSync(dbFile);
+    await backupDb.backup(dbFile);
+    if (created) console.log(`✅ Created ${resolve(dbFile)} from ${src} (${tables} table(s)); no database was there before.`);
+    else console.log(`✅ Restored ${dbFile} from ${src} (${tables} table(s)).`);
+  } finally {
+    backupDb.close();
+  }
+}
+
+// integrity_check (or the faster quick_check) for corruption, then
+// foreign_key_check for child rows whose parent is missing — those can exist
+// because SQLite only enforces foreign keys with PRAGMA foreign_keys = ON.
+async function check(dbFile, opts) {
+  await withDb(dbFile, (db) => {
+    const pragma = opts.quick ? "quick_check" : "integrity_check";
+    const integrity = db.pragma(pragma).map((r) => Object.values(r)[0]);
+    let problems = 0;
+    if (integrity.length === 1 && integrity[0] === "ok") console.log(`✅ ${pragma}: ok`);
+    else {
+      problems += integrity.length;
+      console.log(`❌ ${pragma}:`);
+      for (const line of integrity) console.log(`  ${line}`);
+    }
+
+    const violations = db.pragma("foreign_key_check");
+    if (!violations.length) console.log("✅ foreign_key_check: ok");
+    else {
+      problems += violations.length;
+      console.log(`❌ foreign_key_check: ${violations.length} row(s) point at missing parents`);
+      const fks = new Map();
+      for (const v of violations.slice(0, 50)) {
+        const key = `${v.table}:${v.fkid}`;
+        if (!fks.has(key)) fks.set(key, db.prepare("SELECT * FROM pragma_foreign_key_list(?) WHERE id = ? ORDER BY seq").all(v.table, v.fkid));
+        const cols = fks.get(key);
+        const values = v.rowid === null ? null
+          : db.prepare(`SELECT ${cols.map((c) => quoteIdent(c.from, "sqlite")).join(", ")} FROM ${quoteIdent(v.table, "sqlite")} WHERE rowid = ?`).raw().get(v.rowid);
+        const ref = cols.map((c, i) => `${c.from} = ${values ? JSON.stringify(values[i]) : "?"}`).join(", ");
+        console.log(`  ${v.table}${v.rowid === null ? "" : ` rowid ${v.rowid}`}: ${ref} → ${v.parent}`);
+      }
+      if (violations.length > 50) console.log(`  … and ${violations.length - 50} more`);
+    }
+    if (problems) throw new Error(`${problems} problem(s) found in ${dbFile}`);
+  }, { readonly: true });
+}
+
+// Refreshes sqlite_stat1, which the query planner uses to choose indexes.
+async function analyze(dbFile, table, opts) {
+  if (isReadonly(opts)) throw new Error("Read-only mode: blocked ANALYZE");
+  await withDb(dbFile, (db) => {
+    const started = Date.now();
+    db.exec(table ? `ANALYZE ${quoteIdent(table, "sqlite")}` : "ANALYZE");
+    const { n } = db.prepare("SELECT COUNT(*) AS n FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").get();
+    console.log(`✅ Analyzed ${table || `${n} table(s)`} in ${((Date.now() - started) / 1000).toFixed(1)}s.`);
+  });
+}
+
+// ── Full-text search ──
+// `fts create` adds an external-content FTS5 table, <table>_fts, that indexes
+// the chosen columns without copying them; triggers keep it in step with
+// every insert, update and delete on <table>.
+
+const ftsName = (table) => `${table}_fts`;
+
+function ftsExists(db, table) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(ftsName(table));
+}
+
+// FTS5 rows are matched to the table by rowid; an INTEGER PRIMARY KEY is
+// the rowid under another name, and unlike a bare rowid survives VACUUM.
+function rowidColumn(db, table) {
+  const pk = db.prepare("SELECT name, type FROM pragma_table_info(?) WHERE pk > 0").all(table);
+  return pk.length === 1 && pk[0].type.toUpperCase() === "INTEGER" ? pk[0].name : "rowid";
+}
+
+function ftsCreate(db, table, columns, opts) {
+  if (!table) throw new Error("Usage: fts create <table> <column> [<column>…]");
+  const existing = db.prepare("SELECT name FROM pragma_table_info(?)").all(table).map((c) => c.name);
+  if (!existing.length) throw new Error(`Table not found: ${table}`);
+  if (!columns.length) throw new Error(`Name the columns to index, e.g. fts create ${table} ${existing.slice(0, 2).join(" ")}`);
+  const missing = columns.filter((c) => !existing.includes(c));
+  if (missing.length) throw new Error(`No such column in ${table}: ${missing.join(", ")}`);
+  if (db.prepare("SELECT 1 FROM pragma_table_list WHERE name = ? AND wr = 1").get(table)) throw new Error(`${table} is WITHOUT ROWID; FTS5 needs a rowid table`);
+  if (ftsExists(db, table)) throw new Error(`${ftsName(table)} already exists; fts drop ${table} first to change its columns`);
+
+  const q = (name) => quoteIdent(name, "sqlite");
+  const fts = q(ftsName(table));
+  const rowid = rowidColumn(db, table);
+  const cols = columns.map(q).join(", ");
+  const values = (prefix) => columns.map((c) => `${prefix}.${q(c)}`).join(", ");
+  const trigger = (suffix) => q(`${ftsName(table)}_${suffix}`);
+  const tokenize = opts.tokenize ? `, tokenize = '${String(opts.tokenize).replace(/'/g, "''")}'` : "";
+  db.transaction(() => {
+    db.exec(`CREATE VIRTUAL TABLE ${fts} USING fts5(${cols}, content = ${q(table)}, content_rowid = ${q(rowid)}${tokenize})`);
+    // Deletes from an external-content table are spelled as an insert of the old values.
+    db.exec(`CREATE TRIGGER ${trigger("ai")} AFTER INSERT ON ${q(table)} BEGIN
+  INSERT INTO ${fts}(rowid, ${cols}) VALUES (new.${q(rowid)}, ${values("new")});
+END`);
+    db.exec(`CREATE TRIGGER ${trigger("ad")} AFTER DELETE ON ${q(table)} BEGIN
+  INSERT INTO ${fts}(${fts}, rowid, ${cols}) VALUES ('delete', old.${q(rowid)}, ${values("old")});
+END`);
+    db.exec(`CREATE TRIGGER ${trigger("au")} AFTER UPDATE ON ${q(table)} BEGIN
+  INSERT INTO ${fts}(${fts}, rowid, ${cols}) VALUES ('delete', old.${q(rowid)}, ${values("old")});
+  INSERT INTO ${fts}(rowid, ${cols}) VALUES (new.${q(rowid)}, ${values("new")});
+END`);
+    db.exec(`INSERT INTO ${fts}(${fts}) VALUES ('rebuild')`);
+  })();
+  const { n } = db.prepare(`SELECT COUNT(*) AS n FROM ${q(table)}`).get();
+  console.log(`✅ Created ${ftsName(table)} on ${table} (${columns.join(", ")}); indexed ${n} row(s).`);
+}
+
+function ftsDrop(db, table) {
+  if (!table) throw new Error("Usage: fts drop <table>");
+  if (!ftsExists(db, table)) throw new Error(`No full-text index on ${table}`);
+  db.transaction(() => {
+    for (const suffix of ["ai", "ad", "au"]) db.exec(`DROP TRIGGER IF EXISTS ${quoteIdent(`${ftsName(table)}_${suffix}`, "sqlite")}`);
+    db.exec(`DROP TABLE ${quoteIdent(ftsName(table), "sqlite")}`);
+  })();
+  console.log(`✅ Dropped ${ftsName(table)}.`);
+}
+
+// Best match first (bm25 ranks lower as better); the snippet marks matched
+// terms with ** and trims the column around them.
+async function ftsSearch(db, table, terms, opts) {
+  if (!table || !terms) throw new Error('Usage: fts search <table> "terms"');
+  if (!ftsExists(db, table)) throw new Error(`No full-text index on ${table}; run fts create ${table} <column>… first`);
+  const q = (name) => quoteIdent(name, "sqlite");
+  const fts = q(ftsName(table));
+  const columns = opts.columns ? String(opts.columns).split(",").map((c) => `t.${q(c.trim())}`).join(", ") : "t.*";
+  const limit = parseInt(opts.limit) || 20;
+  let rows;
+  try {
+    rows = db.prepare(`SELECT round(bm25(${fts}), 3) AS rank, snippet(${fts}, -1, '**', '**', '…', 12) AS snippet, ${columns}
+      FROM ${fts} JOIN ${q(table)} t ON t.${q(rowidColumn(db, table))} = ${fts}.rowid
+      WHERE ${fts} MATCH ? ORDER BY rank LIMIT ?`).all(terms, limit);
+  } catch (err) {
+    if (/fts5: syntax error|no such column/.test(err.message)) {
+      throw new Error(`${err.message}\n  Put terms with punctuation in double quotes: fts search ${table} '"e-mail" AND draft'`);
+    }
+    throw err;
+  }
+  await formatRows(rows, opts);
+}
+
+async function fts(dbFile, action, table, rest, opts) {
+  if (action !== "search" && isReadonly(opts)) throw new Error(`Read-only mode: blocked fts ${action}`);
+  await withDb(dbFile, async (db) => {
+    switch (action) {
+      case "create": ftsCreate(db, table, rest, opts); break;
+      case "drop":   ftsDrop(db, table); break;
+      case "search": await ftsSearch(db, table, rest.join(" "), opts); break;
+      default: throw new Error("Usage: fts create|drop|search <table> …");
+    }
+  }, opts);
+}
+
+// ── JSON columns ──
+
+// One row per element (or key) at <path> in each row's JSON, keyed by the
+// table's primary key. --fields pulls values out of object elements into
+// columns of their own; --tree walks every nested leaf instead.
+async function jsonRows(dbFile, table, column, path = "$", opts) {
+  if (!table || !column) throw new Error("Usage: json <table> <column> [$.path]");
+  if (!path.startsWith("$")) throw new Error(`JSON paths start with $, e.g. $.items or $.tags[0]`);
+  await withDb(dbFile, async (db) => {
+    const q = (name) => quoteIdent(name, "sqlite");
+    const cols = db.prepare("SELECT name, pk FROM pragma_table_info(?)").all(table);
+    if (!cols.length) throw new Error(`Table not found: ${table}`);
+    if (!cols.some((c) => c.name === column)) throw new Error(`No such column in ${table}: ${column}`);
+    const pk = cols.filter((c) => c.pk).sort((a, b) => a.pk - b.pk).map((c) => `t.${q(c.name)}`);
+    const keys = pk.length ? pk.join(", ") : "t.rowid";
+
+    const fn = opts.tree ? "json_tree" : "json_each";
+    const params = [path];
+    let select = `${keys}, j.${opts.tree ? "fullkey" : "key"} AS key`;
+    if (opts.fields) {
+      const fields = String(opts.fields).split(",").map((f) => f.trim());
+      select += fields.map((f) => `, json_extract(j.value, ?) AS ${q(f)}`).join("");
+      params.unshift(...fields.map((f) => `$.${f}`));
+    } else {
+      select += ", j.value, j.type";
+    }
+    let sql = `SELECT ${select} FROM ${q(table)} t, ${fn}(t.${q(column)}, ?) j WHERE json_valid(t.${q(column)})`;
+    if (opts.tree) sql += " AND j.type NOT IN ('object', 'array')";
+    if (opts.where) sql += ` AND (${opts.where})`;
+    sql += ` LIMIT ${parseInt(opts.limit) || 1000}`;
+    if (isReadonly(opts)) assertReadOnly(sql, "sqlite");
+    await formatRows(db.prepare(sql).all(params), opts);
+  }, opts);
+}
+
+// ── Vectors ──
+// With sqlite-vec loadable (the npm package, or --extension / SQLITE_VEC_PATH
+// naming the library), `vector index` builds a vec0 table,
+// <table>_<column>_vec, that searches go through. Triggers only note changed
+// rowids in the plain table <table>_<column>_vec_pending, so clients without
+// sqlite-vec can still write; each search applies them to the index first.
+// Without it, `vector search` scans the column in-process with lib/vector.js.
+
+const vecName = (table, column) => `${table}_${column}_vec`;
+
+async function loadVectorExtension(db, opts) {
+  const path = opts.extension || process.env.SQLITE_VEC_PATH;
+  if (path) {
+    db.loadExtension(path);
+    return true;
+  }
+  try {
+    (await import("sqlite-vec")).load(db);
+    return true;
+  } catch (err) {
+    if (err.code === "ERR_MODULE_NOT_FOUND") return false;
+    throw err;
+  }
+}
+
+function hasVectorExtension(db) {
+  try { db.prepare("SELECT vec_version()").get(); return true; } catch { return false; }
+}
+
+// { metric, dims } of the column's vec0 table, or null when it has none.
+function vecIndex(db, table, column) {
+  const row = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(vecName(table, column));
+  if (!row) return null;
+  return {
+    metric: /distance_metric\s*=\s*(\w+)/i.exec(row.sql)?.[1].toLowerCase() || "l2",
+    dims: Number(/float\[(\d+)\]/i.exec(row.sql)[1]),
+  };
+}
+
+function vectorColumn(db, table, column) {
+  if (!table || !column) throw new Error("Usage: vector index|search|drop <table> <column>");
+  const cols = db.prepare("SELECT name FROM pragma_table_info(?)").all(table).map((c) => c.name);
+  if (!cols.length) throw new Error(`Table not found: ${table}`);
+  if (!cols.includes(column)) throw new Error(`No such column in ${table}: ${column}`);
+}
+
+function dropVectorIndex(db, table, column) {
+  for (const suffix of ["ai", "ad", "au"]) db.exec(`DROP TRIGGER IF EXISTS ${quoteIdent(`${vecName(table, column)}_${suffix}`, "sqlite")}`);
+  db.exec(`DROP TABLE IF EXISTS ${quoteIdent(`${vecName(table, column)}_pending`, "sqlite")}`);
+  db.exec(`DROP TABLE IF EXISTS ${quoteIdent(vecName(table, column), "sqlite")}`);
+}
+
+// Re-index the rows the triggers noted since the last search.
+function syncVectorIndex(db, table, column, dims) {
+  const q = (name) => quoteIdent(name, "sqlite");
+  const vec = q(vecName(table, column));
+  const pending = q(`${vecName(table, column)}_pending`);
+  const rowid = rowidColumn(db, table);
+  const get = db.prepare(`SELECT ${q(column)} AS v FROM ${q(table)} WHERE ${q(rowid)} = ?`);
+  const remove = db.prepare(`DELETE FROM ${vec} WHERE rowid = ?`);
+  const insert = db.prepare(`INSERT INTO ${vec}(rowid, embedding) VALUES (?, ?)`);
+  let skipped = 0;
+  db.transaction(() => {
+    for (const { id } of db.prepare(`SELECT id FROM ${pending}`).all()) {
+      remove.run(BigInt(id));
+      const v = get.get(id)?.v;
+      if (v === undefined || v === null) continue;
+      if (parseVector(v)?.length !== dims) { skipped++; continue; }
+      insert.run(BigInt(id), v);
+    }
+    db.exec(`DELETE FROM ${pending}`);
+  })();
+  if (skipped) console.error(`${skipped} changed row(s) left out of the index: not ${dims}-dim vectors`);
+}
+
+async function vectorIndex(db, table, column, opts) {
+  const dims = Number(opts.dims);
+  if (!Number.isInteger(dims) || dims <= 0) throw new Error("--dims must be a positive integer (the embedding size, e.g. 1536)");
+  const metric = opts.metric || "cosine";
+  if (!["cosine", "l2"].includes(metric)) throw new Error("vec0 indexes take --metric cosine or l2; dot products are searched by scan");
+  const q = (name) => quoteIdent(name, "sqlite");
+  const rowid = rowidColumn(db, table);
+
+  // Every stored value has to be a vector of the right size to be indexed.
+  let total = 0, bad = 0, first = null;
+  for (const row of db.prepare(`SELECT ${q(rowid)} AS key, ${q(column)} AS v FROM ${q(table)} WHERE ${q(column)} IS NOT NULL`).iterate()) {
+    total++;
+    if (parseVector(row.v)?.length !== dims) { bad++; first ??= row.key; }
+  }
+  if (bad) throw new Error(`${bad} of ${total} row(s) in ${table}.${column} aren't ${dims}-dim vectors (first: ${rowid} = ${first})`);
+
+  if (!(await loadVectorExtension(db, opts))) {
+    console.log(`✅ All ${total} row(s) hold ${dims}-dim vectors.`);
+    console.log("No vector extension (npm install sqlite-vec, or --extension <path>); vector search will scan the column.");
+    return;
+  }
+  const vec = q(vecName(table, column));
+  const pending = q(`${vecName(table, column)}_pending`);
+  const trigger = (suffix) => q(`${vecName(table, column)}_${suffix}`);
+  const note = (row) => `INSERT OR IGNORE INTO ${pending}(id) VALUES (${row}.${q(rowid)});`;
+  const updated = rowid === "rowid" ? q(column) : `${q(column)}, ${q(rowid)}`;
+  db.transaction(() => {
+    dropVectorIndex(db, table, column);
+    db.exec(`CREATE VIRTUAL TABLE ${vec} USING vec0(embedding float[${dims}] distance_metric=${metric})`);
+    db.exec(`CREATE TABLE ${pending} (id INTEGER PRIMARY KEY)`);
+    db.exec(`CREATE TRIGGER ${trigger("ai")} AFTER INSERT ON ${q(table)} BEGIN ${note("new")} END`);
+    db.exec(`CREATE TRIGGER ${trigger("ad")} AFTER DELETE ON ${q(table)} BEGIN ${note("old")} END`);
+    db.exec(`CREATE TRIGGER ${trigger("au")} AFTER UPDATE OF ${updated} ON ${q(table)} BEGIN ${note("old")} ${note("new")} END`);
+    db.exec(`INSERT INTO ${vec}(rowid, embedding) SELECT ${q(rowid)}, ${q(column)} FROM ${q(table)} WHERE ${q(column)} IS NOT NULL`);
+  })();
+  console.log(`✅ Indexed ${total} vector(s) of ${table}.${column} in ${vecName(table, column)} (${dims} dims, ${metric}).`);
+}
+
+async function vectorSearch(db, table, column, opts) {
+  const raw = opts.query ?? (opts["query-file"] ? readFileSync(opts["query-file"], "utf8") : null);
+  if (raw === null || raw === true) throw new Error("Pass the query vector with --query-file q.json or --query '[0.1, …]'");
+  const query = parseVector(String(raw).trim());
+  if (!query) throw new Error("The query vector must be a JSON array of numbers");
+  const k = opts.k ? parseInt(opts.k) : 10;
+  if (!(k > 0)) throw new Error("--k must be a positive integer");
+  const metric = opts.metric || "cosine";
+  const { score, better } = scorer(metric, query);
+  const q = (name) => quoteIdent(name, "sqlite");
+  const rowid = rowidColumn(db, table);
+
+  const index = vecIndex(db, table, column);
+  let useIndex = index?.metric === metric && hasVectorExtension(db);
+  if (useIndex) {
+    if (query.length !== index.dims) throw new Error(`The query vector has ${query.length} dims; ${vecName(table, column)} holds ${index.dims}-dim vectors`);
+    const { n } = db.prepare(`SELECT count(*) AS n FROM ${q(`${vecName(table, column)}_pending`)}`).get();
+    if (n && isReadonly(opts)) {
+      console.error(`${n} changed row(s) not yet in ${vecName(table, column)} (read-only); scanning the column instead`);
+      useIndex = false;
+    } else if (n) {
+      syncVectorIndex(db, table, column, index.dims);
+    }
+  }
+
+  let hits;
+  if (useIndex) {
+    const vec = q(vecName(table, column));
+    // k has to bind as an integer; a JS number binds as REAL.
+    hits = db.prepare(`SELECT rowid AS key, distance FROM ${vec} WHERE embedding MATCH ? AND k = ? ORDER BY distance`)
+      .all(Buffer.from(query.buffer), BigInt(k))
+      .map((h) => ({ key: h.key, score: metric === "cosine" ? 1 - h.distance : h.distance }));
+  } else {
+    const top = topK(k, better);
+    let skipped = 0;
+    for (const row of db.prepare(`SELECT ${q(rowid)} AS key, ${q(column)} AS v FROM ${q(table)} WHERE ${q(column)} IS NOT NULL`).iterate()) {
+      const v = parseVector(row.v);
+      if (v?.length !== query.length) { skipped++; continue; }
+      top.push(row.key, score(v));
+    }
+    if (skipped) console.error(`${skipped} row(s) skipped: not ${query.length}-dim vectors`);
+    hits = top.items();
+  }
+
+  // The embedding itself is left out unless --columns asks for it.
+  const columns = opts.columns ? String(opts.columns).split(",").map((c) => c.trim()) : null;
+  const get = db.prepare(`SELECT * FROM ${q(table)} WHERE ${q(rowid)} = ?`);
+  const rows = hits.map(({ key, score: s }) => {
+    const row = get.get(key);
+    const picked = columns ? Object.fromEntries(columns.map((c) => [c, row[c]])) : Object.fromEntries(Object.entries(row).filter(([c]) => c !== column));
+    return { score: Number(s.toFixed(6)), ...picked };
+  });
+  await formatRows(rows, opts);
+}
+
+async function vector(dbFile, action, table, column, opts) {
+  if (action !== "search" && isReadonly(opts)) throw new Error(`Read-only mode: blocked vector ${action}`);
+  await withDb(dbFile, async (db) => {
+    vectorColumn(db, table, column);
+    switch (action) {
+      case "index":  await vectorIndex(db, table, column, opts); break;
+      case "search": await vectorSearch(db, table, column, opts); break;
+      case "drop":
+        if (!vecIndex(db, table, column)) throw new Error(`No vector index on ${table}.${column}`);
+        db.transaction(() => dropVectorIndex(db, table, column))();
+        console.log(`✅ Dropped ${vecName(table, column)}.`);
+        break;
+      default: throw new Error("Usage: vector index|search|drop <table> <column>");
+    }
+  }, opts);
+}
+
 // ── Main ──
 const args = parseArgs(process.argv.slice(2));
-const dbFile = args._[0];
-const cmd = args._[1];
 
-if (!dbFile || dbFile === "--help") {
+if (!args._[0] || args._[0] === "--help") {
   console.log(`SQLite CLI
 
 Usage:
   node sqlite.js <dbFile> query "SELECT * FROM users LIMIT 10"
+  node sqlite.js <dbFile> run <file.sql>           Run a script in one transaction; rolls back
+      [--dry-run] [--autocommit]                   on the first error, with its line
+  node sqlite.js <dbFile> migrate up [--to <v>]    Apply pending migrations from --dir
+  node sqlite.js <dbFile> migrate down [n]         (default ./migrations), each in its own
+  node sqlite.js <dbFile> migrate status           transaction; history and checksums in
+  node sqlite.js <dbFile> migrate new <name>       _loop_migrations
+  node sqlite.js <dbFile> explain "<sql>"          Query plan tree, full scans, index suggestions
+      [--analyze] [--min-rows 1000] [--format json]
   node sqlite.js <dbFile> tables
   node sqlite.js <dbFile> describe <table>
   node sqlite.js <dbFile> indexes <table>
   node sqlite.js <dbFile> count <table>
-  node sqlite.js <dbFile> export <table> [--format csv|json]
+  node sqlite.js <dbFile> profile <table>          Per column: nulls, distinct, inferred types,
+      [--sample 10000] [--top 5] [--format json]   min/max/mean/percentiles, lengths, top values
+  node sqlite.js <dbFile> export <table> [--format csv|json|…]
+  node sqlite.js <dbFile> import <table> <file>    Load CSV/JSON/NDJSON
+      [--format csv|json|ndjson] [--create] [--upsert-key id] [--batch 1000] [--dry-run]
+  node sqlite.js <dbFile> seed <table>             Fake rows that satisfy NOT NULL, UNIQUE and
+      [--rows 100] [--seed 42] [--skip a,b]        foreign keys; --dry-run shows a sample
+  node sqlite.js <dbFile> copy <table>             Copy rows into postgres://…, mysql://…,
+      --to <target> [--as name] [--batch 1000]     mongodb://…, sqlite:<file> or a profile,
+      [--dry-run]                                  creating a missing table with mapped types
+  node sqlite.js <dbFile> diff <otherDbFile>       Compare schemas (this file = A, other = B)
+      [--sql] [--drop] [--output migration.sql]
+  node sqlite.js <dbFile> erd                      ER diagram: tables, columns, PK/FK
+      [--format mermaid|dot|json] [--tables a,b] [--output schema.mmd]
+  node sqlite.js <dbFile> repl                     Interactive shell: multiline SQL ending in ;
+      \\dt  \\d <table>  \\di <table>  \\format json  \\timing  \\?  \\q
   node sqlite.js <dbFile> size
   node sqlite.js <dbFile> vacuum
+  node sqlite.js <dbFile> backup <dest> [--force]  Consistent copy via the online backup API,
+                                                   safe while other connections write
+  node sqlite.js <dbFile> restore <src> --confirm  Replace dbFile with a backup (after quick_check;
+                                                   a new dbFile is created without --confirm)
+  node sqlite.js <dbFile> check [--quick]          integrity_check (or quick_check) and
+                                                   foreign_key_check; exits 1 on problems
+  node sqlite.js <dbFile> analyze [table]          Refresh the query planner's statistics
+  node sqlite.js <dbFile> fts create <table>       FTS5 index on the columns (<table>_fts),
+      <column>… [--tokenize porter|trigram]        kept in sync by triggers
+  node sqlite.js <dbFile> fts search <table>       Best matches first, with a **highlighted**
+      "terms" [--limit 20] [--columns a,b]         snippet; FTS5 syntax: AND, OR, "phrase", pre*
+  node sqlite.js <dbFile> fts drop <table>         Remove the index and its triggers
+  node sqlite.js <dbFile> json <table> <column>    One row per array element or object key at
+      [$.path] [--fields a,b] [--tree]             the path; --fields pulls values out of each,
+      [--where …] [--limit 1000]                   --tree lists every nested leaf instead
+  node sqlite.js <dbFile> vector index <table>     Check a BLOB (float32) or JSON embedding
+      <column> --dims 1536 [--metric cosine|l2]    column; with sqlite-vec, build a vec0 index
+      [--extension path]                           that each search brings up to date
+  node sqlite.js <dbFile> vector search <table>    Nearest rows to the query vector, with scores
+      <column> --query-file q.json [--k 10]        (cosine: similarity, l2: distance, dot);
+      [--query '[…]'] [--metric cosine|l2|dot]     scans the column when there's no index
+      [--columns a,b] [--extension path]
+  node sqlite.js <dbFile> vector drop <table> <column>  Remove the vec0 index and its triggers
 
-Output format: --format table|json|csv (default: table)`);
+Output: --format table|json|ndjson|csv|tsv|markdown|xlsx|parquet (default: table)
+        --output <file> writes to a file instead of stdout
+
+More sources (repeatable, for this run only):
+  --attach alias=other.db        Query another file's tables as alias.table, e.g. to join across files
+  --csv-table name=file.csv      Query a CSV as table "name" (header row; numbers typed as in import)
+
+Safety: --readonly (or DB_READONLY=1) opens the file read-only and rejects
+  INSERT/UPDATE/DELETE/DDL/PRAGMA assignments before they run; attached files too
+
+Bind parameters (query): --param VALUE (repeatable, one per ?) or --params-json '[1,"a"]'
+  Type prefixes: int: num: bool: json: str: — "null" binds NULL, no prefix binds a string`);
   process.exit(0);
 }
 
-try {
+async function run(args) {
+  const dbFile = args._[0];
+  const cmd = args._[1];
   switch (cmd) {
-    case "query":    runQuery(dbFile, args._[2], args); break;
-    case "tables":   listTables(dbFile, args); break;
-    case "describe": describeTable(dbFile, args._[2], args); break;
-    case "indexes":  listIndexes(dbFile, args._[2], args); break;
-    case "count":    countTable(dbFile, args._[2]); break;
-    case "export":   exportTable(dbFile, args._[2], args); break;
+    case "query":    await runQuery(dbFile, args._[2], args, parseParams(args)); break;
+    case "run":      await runFile(dbFile, args._[2], args); break;
+    case "migrate":  await migrate(dbFile, args._[2], args._[3], args); break;
+    case "explain":  await explainQuery(dbFile, args._[2], args, parseParams(args)); break;
+    case "tables":   await listTables(dbFile, args); break;
+    case "describe": await describeTable(dbFile, args._[2], args); break;
+    case "indexes":  await listIndexes(dbFile, args._[2], args); break;
+    case "count":    await countTable(dbFile, args._[2], args); break;
+    case "profile":  await profile(dbFile, args._[2], args); break;
+    case "export":   await exportTable(dbFile, args._[2], args); break;
+    case "import":   await importTable(dbFile, args._[2], args._[3], args); break;
+    case "seed":     await seed(dbFile, args._[2], args); break;
+    case "copy":     await copy(dbFile, args._[2], args); break;
+    case "diff":     await diffSchema(dbFile, args._[2], args); break;
+    case "erd":      await erd(dbFile, args); break;
+    case "repl":     await repl(dbFile, args); break;
     case "size":     dbSize(dbFile); break;
-    case "vacuum":   vacuum(dbFile); break;
-    default: console.error(`Unknown: ${cmd}`); process.exit(1);
+    case "vacuum":   await vacuum(dbFile, args); break;
+    case "backup":   await backup(dbFile, args._[2], args); break;
+    case "restore":  await restore(dbFile, args._[2], args); break;
+    case "check":    await check(dbFile, args); break;
+    case "analyze":  await analyze(dbFile, args._[2], args); break;
+    case "fts":      await fts(dbFile, args._[2], args._[3], args._.slice(4), args); break;
+    case "json":     await jsonRows(dbFile, args._[2], args._[3], args._[4], args); break;
+    case "vector":   await vector(dbFile, args._[2], args._[3], args._[4], args); break;
+    default: throw new Error(`Unknown: ${cmd}`);
   }
+}
+
+try {
+  await run(args);
 } catch (err) {
   console.error(`Error: ${err.message}`);
   process.exit(1);
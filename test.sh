@@ -243,9 +243,39 @@ test_database() {
   echo ""
   echo "🗄️  database skill"
   run_test "postgres help" "node $SCRIPT_DIR/database/postgres.js --help 2>&1" "PostgreSQL CLI"
+  run_test "postgres tail needs a table" "! node $SCRIPT_DIR/database/postgres.js tail 2>&1" "Missing table name"
+  run_test "postgres terminate needs a pid" "! node $SCRIPT_DIR/database/postgres.js terminate 2>&1" "Usage: terminate <pid> --confirm"
   run_test "sqlite help" "node $SCRIPT_DIR/database/sqlite.js --help 2>&1" "SQLite CLI"
   run_test "mysql help" "node $SCRIPT_DIR/database/mysql.js --help 2>&1" "MySQL CLI"
+  echo '{"reports": {"url": "postgres://ro@localhost/reports"}}' > "$SCRIPT_DIR/database/_profiles.json"
+  run_test "mysql profile engine check" "! DB_PROFILES=$SCRIPT_DIR/database/_profiles.json node $SCRIPT_DIR/database/mysql.js tables --profile reports 2>&1" "Profile \"reports\" is for postgres, not mysql"
+  rm -f "$SCRIPT_DIR/database/_profiles.json"
+  # A stand-in ssh that just listens on the forwarded local port.
+  mkdir -p "$SCRIPT_DIR/database/_bin"
+  printf '#!/bin/sh\nfor a; do case $a in 127.0.0.1:*) p=${a#127.0.0.1:}; p=${p%%%%:*};; esac; done\nexec node -e "require(\\"net\\").createServer((s) => s.end()).listen($p, \\"127.0.0.1\\")"\n' > "$SCRIPT_DIR/database/_bin/ssh"
+  chmod +x "$SCRIPT_DIR/database/_bin/ssh"
+  run_test "ssh tunnel keeps the TLS server name" "PATH=$SCRIPT_DIR/database/_bin:\$PATH timeout 20 node --input-type=module -e \"const { tunnelTarget } = await import('$SCRIPT_DIR/database/lib/connection.js'); const t = await tunnelTarget({ host: 'db.internal', ssl: {}, ssh: { host: 'bastion' } }, 5432); console.log(t.host, t.ssl.servername); process.exit(0)\" 2>&1" "127.0.0.1 db.internal"
+  rm -rf "$SCRIPT_DIR/database/_bin"
+  run_test "mysql --readonly sees executable comments" "! node $SCRIPT_DIR/database/mysql.js query 'SELECT 1 /*! INTO OUTFILE \"/tmp/x\" */' --readonly 2>&1" "blocked INTO inside SELECT"
+  run_test "mysql kill needs an id" "! node $SCRIPT_DIR/database/mysql.js kill 2>&1" "Usage: kill <id> \\[--query\\] --confirm"
   run_test "mongo help" "node $SCRIPT_DIR/database/mongo.js --help 2>&1" "MongoDB CLI"
+  run_test "mongo deleteMany needs a filter" "! node $SCRIPT_DIR/database/mongo.js deleteMany users 2>&1" "deleteMany needs --filter"
+  run_test "mongo rejects bad Extended JSON" "! node $SCRIPT_DIR/database/mongo.js updateMany t --filter '{\"_id\":{\"\$oid\":\"zz\"}}' --update '{}' 2>&1" "filter is not valid Extended JSON"
+  run_test "mongo schema formats" "! node $SCRIPT_DIR/database/mongo.js schema orders --format yaml 2>&1" "use tree|json|validator|jsonschema|typescript"
+  if [ -n "$MONGODB_URL" ]; then
+    M="node $SCRIPT_DIR/database/mongo.js"
+    $M deleteMany _copy_src --filter '{}' --confirm > /dev/null; $M deleteMany _copy_dst --filter '{}' --confirm > /dev/null
+    $M insert _copy_src '{"ref":{"$oid":"65a000000000000000000001"},"n":{"$numberLong":"9007199254740993"}}' > /dev/null
+    $M insert _copy_src '{"ref":{"$oid":"65a000000000000000000002"},"n":{"$numberLong":"1"},"note":"hello"}' > /dev/null
+    run_test "mongo copy to mongo" "$M copy _copy_src --to \"$MONGODB_URL\" --as _copy_dst --sample 1 2>&1" "Copied 2 row"
+    run_test "mongo copy keeps BSON types" "$M count _copy_dst --filter '{\"_id\":{\"\$type\":\"objectId\"},\"ref\":{\"\$type\":\"objectId\"},\"n\":{\"\$type\":\"long\"}}' 2>&1" "_copy_dst: 2 documents"
+    run_test "mongo copy keeps fields outside the sample" "$M count _copy_dst --filter '{\"note\":\"hello\"}' 2>&1" "_copy_dst: 1 documents"
+    $M deleteMany _copy_src --filter '{}' --confirm > /dev/null; $M deleteMany _copy_dst --filter '{}' --confirm > /dev/null
+  else
+    echo -n "  mongo copy to mongo ... "
+    yellow "SKIP (MONGODB_URL not set)"
+    SKIP=$((SKIP + 3))
+  fi
   run_test "redis help" "node $SCRIPT_DIR/database/redis.js --help 2>&1" "Redis CLI"
 
   # SQLite integration test (no server needed)
@@ -259,7 +289,73 @@ db.close();
 " 2>/dev/null
   run_test "sqlite tables" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db tables 2>&1" "t"
   run_test "sqlite query" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db query 'SELECT * FROM t' 2>&1" "test"
-  rm -f "$SCRIPT_DIR/database/_test.db"
+  run_test "sqlite query --param" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db query 'SELECT name FROM t WHERE id = ?' --param int:1 2>&1" "test"
+  run_test "sqlite --format csv" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db export t --format csv 2>&1" "id,name"
+  # The first rows arrive after the open has failed, as with a slow query.
+  run_test "--output to a bad path is an ordinary error" "timeout 60 node --input-type=module -e \"const { createRowWriter } = await import('$SCRIPT_DIR/database/lib/output.js'); const w = createRowWriter({ format: 'csv', output: '_missing/t.csv' }); await new Promise((r) => setTimeout(r, 100)); try { await w.write([{ id: 1 }]); } catch (err) { console.log('caught', err.code); }\" 2>&1" "^caught ENOENT"
+  run_test "parquet keeps big integers exact" "timeout 60 node --input-type=module -e \"const { createRowWriter } = await import('$SCRIPT_DIR/database/lib/output.js'); const w = createRowWriter({ format: 'parquet', output: '_test.parquet' }); await w.write([{ id: 9007199254740993n }]); await w.end(); const { default: parquet } = await import('parquetjs-lite'); const r = await parquet.ParquetReader.openFile('_test.parquet'); console.log(String((await r.getCursor().next()).id)); await r.close()\" 2>&1; rm -f _test.parquet" "^9007199254740993$"
+  printf 'id,name\n2,"Smith, J"\n' > "$SCRIPT_DIR/database/_test.csv"
+  run_test "sqlite import" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db import t $SCRIPT_DIR/database/_test.csv 2>&1" "Imported 1 row"
+  node "$SCRIPT_DIR/database/sqlite.js" "$SCRIPT_DIR/database/_test.db" query "CREATE TABLE codes (code TEXT, flag TEXT)" > /dev/null
+  printf 'code,flag\n1.50,true\n+42,false\n1E5,true\n' > "$SCRIPT_DIR/database/_test.csv"
+  node "$SCRIPT_DIR/database/sqlite.js" "$SCRIPT_DIR/database/_test.db" import codes "$SCRIPT_DIR/database/_test.csv" > /dev/null
+  run_test "sqlite import keeps TEXT as written" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db query \"SELECT group_concat(code || ' ' || flag, ';') AS codes FROM codes\" --format csv 2>&1" "1.50 true;+42 false;1E5 true"
+  rm -f "$SCRIPT_DIR/database/_test.csv"
+  node -e "
+import Database from 'better-sqlite3';
+new Database('_test2.db').exec('CREATE TABLE t (id INTEGER PRIMARY KEY)');
+" 2>/dev/null
+  run_test "sqlite diff" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db diff $SCRIPT_DIR/database/_test2.db --sql 2>&1" 'ADD COLUMN "name" TEXT'
+  rm -f "$SCRIPT_DIR/database/_test2.db"
+  run_test "sqlite explain" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db explain 'SELECT * FROM t WHERE name = ?' --param test --min-rows 0 2>&1" 'CREATE INDEX "t_name_idx"'
+  run_test "sqlite erd" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db erd 2>&1" "INTEGER id PK"
+  run_test "sqlite profile" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db profile t 2>&1" "inferred: integer 100%"
+  run_test "sqlite repl" "printf 'SELECT name\\n  FROM t;\\n\\\\q\\n' | node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db repl 2>&1" "test"
+  printf "INSERT INTO t VALUES (3, 'x');\nINSERT INTO nope VALUES (1);\n" > "$SCRIPT_DIR/database/_test.sql"
+  run_test "sqlite run rolls back" "! node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db run $SCRIPT_DIR/database/_test.sql 2>&1" "Line 2: no such table"
+  rm -f "$SCRIPT_DIR/database/_test.sql"
+  node "$SCRIPT_DIR/database/sqlite.js" "$SCRIPT_DIR/database/_test.db" migrate new add_notes --dir "$SCRIPT_DIR/database/_test_migrations" > /dev/null
+  printf -- "-- migrate:up\nCREATE TABLE notes (id INTEGER PRIMARY KEY);\n-- migrate:down\nDROP TABLE notes;\n" > "$SCRIPT_DIR/database/_test_migrations/0001_add_notes.sql"
+  run_test "sqlite migrate up" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db migrate up --dir $SCRIPT_DIR/database/_test_migrations 2>&1" "Applied 1 migration"
+  run_test "sqlite migrate --to needs a version" "! node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db migrate up --dir $SCRIPT_DIR/database/_test_migrations --to 2>&1" "needs a version number"
+  rm -rf "$SCRIPT_DIR/database/_test_migrations"
+  run_test "sqlite seed" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db seed t --rows 50 --seed 1 2>&1" "Inserted 50 row(s) into t (seed 1)"
+  run_test "sqlite copy" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db copy t --to sqlite:$SCRIPT_DIR/database/_test2.db 2>&1" "Copied 52 row(s) from t to t (sqlite)"
+  rm -f "$SCRIPT_DIR/database/_test2.db" "$SCRIPT_DIR/database/_test2.db-shm" "$SCRIPT_DIR/database/_test2.db-wal"
+  echo '{"reports": {"url": "postgres://ro@127.0.0.1:1/reports"}}' > "$SCRIPT_DIR/database/_profiles.json"
+  run_test "sqlite copy to a profile" "! DB_PROFILES=$SCRIPT_DIR/database/_profiles.json node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db copy t --to reports 2>&1" "ECONNREFUSED 127.0.0.1:1"
+  rm -f "$SCRIPT_DIR/database/_profiles.json"
+  run_test "sqlite backup" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db backup $SCRIPT_DIR/database/_test2.db 2>&1" "Backed up"
+  run_test "sqlite check" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test2.db check 2>&1" "foreign_key_check: ok"
+  run_test "sqlite restore names a new file" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test3.db restore $SCRIPT_DIR/database/_test2.db 2>&1" "Created $SCRIPT_DIR/database/_test3.db"
+  rm -f "$SCRIPT_DIR/database/_test3.db"
+  rm -f "$SCRIPT_DIR/database/_test2.db" "$SCRIPT_DIR/database/_test2.db-shm" "$SCRIPT_DIR/database/_test2.db-wal"
+  node "$SCRIPT_DIR/database/sqlite.js" "$SCRIPT_DIR/database/_test.db" fts create t name > /dev/null
+  run_test "sqlite fts search" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db fts search t test 2>&1" "[*][*]test[*][*]"
+  run_test "sqlite erd leaves out FTS tables" "{ node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db erd --format json 2>&1 | grep -c t_fts || true; }" "^0$"
+  node "$SCRIPT_DIR/database/sqlite.js" "$SCRIPT_DIR/database/_test.db" query "CREATE TABLE chunks (id INTEGER PRIMARY KEY, body TEXT, embedding TEXT)" > /dev/null
+  node "$SCRIPT_DIR/database/sqlite.js" "$SCRIPT_DIR/database/_test.db" query "INSERT INTO chunks (body, embedding) VALUES ('north', '[0, 1]'), ('east', '[1, 0.1]')" > /dev/null
+  run_test "sqlite vector search" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db vector search chunks embedding --query '[1, 0]' --k 1 --format csv 2>&1" "east"
+  if [ -n "$SQLITE_VEC_PATH" ] || node --input-type=module -e "await import('sqlite-vec')" 2>/dev/null; then
+    run_test "sqlite vector index" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db vector index chunks embedding --dims 2 2>&1" "Indexed 2 vector(s)"
+    run_test "sqlite erd leaves out vec0 tables" "{ node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db erd --format json 2>&1 | grep -c _vec || true; }" "^0$"
+    # A client without sqlite-vec can still write to the indexed table.
+    node -e "
+import Database from 'better-sqlite3';
+new Database('_test.db').exec(\"INSERT INTO chunks (body, embedding) VALUES ('west', '[-1, 0]')\");
+" 2>/dev/null
+    run_test "sqlite vector index picks up writes" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db vector search chunks embedding --query '[-1, 0]' --k 1 --format csv 2>&1" "west"
+    run_test "sqlite vector index checks dims" "! node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db vector search chunks embedding --query '[1, 0, 0]' 2>&1" "holds 2-dim vectors"
+  else
+    echo -n "  sqlite vector index ... "
+    yellow "SKIP (sqlite-vec not installed — npm install sqlite-vec, or set SQLITE_VEC_PATH)"
+    SKIP=$((SKIP + 4))
+  fi
+  printf 'id,plan\n1,pro\n' > "$SCRIPT_DIR/database/_test.csv"
+  run_test "sqlite --csv-table join" "node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db query 'SELECT t.name, p.plan FROM t JOIN plans p ON p.id = t.id' --csv-table plans=$SCRIPT_DIR/database/_test.csv --format csv 2>&1" "test,pro"
+  rm -f "$SCRIPT_DIR/database/_test.csv"
+  run_test "sqlite --readonly blocks writes" "! node $SCRIPT_DIR/database/sqlite.js $SCRIPT_DIR/database/_test.db query 'DROP TABLE t' --readonly 2>&1" "blocked DROP"
+  rm -f "$SCRIPT_DIR/database/_test.db" "$SCRIPT_DIR/database/_test.db-shm" "$SCRIPT_DIR/database/_test.db-wal"
   cd "$SCRIPT_DIR"
 }
 